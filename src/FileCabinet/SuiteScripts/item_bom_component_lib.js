@@ -0,0 +1,292 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Component Line Library
+ *
+ * Purpose: Carry per-component values from the file onto the BOM revision's component lines
+ *
+ * - Line columns (memo, reference designators, component yield, item source, units) are kept
+ *   on the row's bomFields as text by item_bom_rows_lib
+ * - Values are converted when the line is written; a value that cannot be set is reported
+ *   without dropping the component
+ * - Reference designators are expanded ("R1, R2, R5-R8" -> R1, R2, R5, R6, R7, R8) and their
+ *   count is checked against the line quantity
+ * - The same item more than once under one assembly is merged, kept as separate lines, or
+ *   fails the BOM, by the Duplicate Components policy in Item Defaults
+ */
+
+define([],
+    function() {
+
+        // Line columns by mapped field: component sublist field, label for messages
+        // byText: set by name (units are names from the component's units type, e.g. "Each")
+        const LINE_FIELDS = {
+            memo: { fieldId: 'memo', label: 'Memo' },
+            refdes: { fieldId: 'referencedesignator', label: 'Reference Designators' },
+            componentyield: { fieldId: 'componentyield', label: 'Component Yield' },
+            itemsource: { fieldId: 'itemsource', label: 'Item Source' },
+            units: { fieldId: 'units', label: 'Units', byText: true }
+        };
+
+        // Item Source values and the cell values accepted for each (lower case, letters only)
+        const ITEM_SOURCES = {
+            STOCK: ['stock', 'inventory'],
+            PHANTOM: ['phantom'],
+            WORK_ORDER: ['workorder', 'wo', 'build'],
+            PURCHASE_ORDER: ['purchaseorder', 'po', 'purchase']
+        };
+
+        // Duplicate Components policies
+        const DUPLICATE_POLICY = {
+            MERGE: 'merge',
+            SEPARATE: 'separate',
+            FAIL: 'fail'
+        };
+
+        // Largest designator range expanded ("R1-R5000" is more likely a typo than 5000 resistors)
+        const MAX_DESIGNATOR_RANGE = 1000;
+
+        /**
+         * True if the mapped field is a component line column
+         */
+        function isLineField(fieldName) {
+            return Object.prototype.hasOwnProperty.call(LINE_FIELDS, fieldName);
+        }
+
+        /**
+         * Convert a line cell to the value the component sublist expects
+         * Throws if the cell cannot be converted
+         */
+        function parseLineValue(fieldName, text) {
+            const value = String(text).trim();
+
+            if (fieldName === 'componentyield') {
+                const percent = Number(value.replace(/[%\s]/g, ''));
+                if (value === '' || isNaN(percent) || percent <= 0 || percent > 100) {
+                    throw new Error('"' + value + '" is not a yield percentage (greater than 0, up to 100)');
+                }
+                return percent;
+            }
+
+            if (fieldName === 'itemsource') {
+                const key = value.toLowerCase().replace(/[^a-z]/g, '');
+                const source = Object.keys(ITEM_SOURCES).find(name => ITEM_SOURCES[name].indexOf(key) >= 0);
+                if (!source) {
+                    throw new Error('"' + value + '" is not an item source (use Stock, Phantom, Work Order, or Purchase Order)');
+                }
+                return source;
+            }
+
+            if (fieldName === 'refdes') {
+                return expandDesignators(value).designators.join(', ');
+            }
+
+            return value;
+        }
+
+        /**
+         * Expand a reference designator cell into single designators
+         * Accepts comma, semicolon, or space separated lists and ranges ("R5-R8" or "R5-8")
+         * Returns { designators, errors } - a range that cannot be expanded is kept as written
+         */
+        function expandDesignators(text) {
+            const designators = [];
+            const errors = [];
+
+            const tokens = String(text || '')
+                .replace(/\s*-\s*/g, '-')
+                .split(/[\s,;]+/)
+                .filter(Boolean);
+
+            tokens.forEach(token => {
+                const range = /^([A-Za-z]*)(\d+)-([A-Za-z]*)(\d+)$/.exec(token);
+                if (!range) {
+                    designators.push(token);
+                    return;
+                }
+
+                const prefix = range[1];
+                const start = parseInt(range[2], 10);
+                const end = parseInt(range[4], 10);
+
+                if (range[3] && range[3] !== prefix) {
+                    errors.push('Range ' + token + ' mixes prefixes');
+                    designators.push(token);
+                } else if (end < start) {
+                    errors.push('Range ' + token + ' runs backwards');
+                    designators.push(token);
+                } else if (end - start + 1 > MAX_DESIGNATOR_RANGE) {
+                    errors.push('Range ' + token + ' has more than ' + MAX_DESIGNATOR_RANGE + ' designators');
+                    designators.push(token);
+                } else {
+                    for (let i = start; i <= end; i++) {
+                        designators.push(prefix + i);
+                    }
+                }
+            });
+
+            return { designators: designators, errors: errors };
+        }
+
+        /**
+         * Reference designator problems on a line: bad ranges, repeats, and a count that
+         * disagrees with the quantity
+         * Returns messages (empty if the line has no designators)
+         */
+        function checkDesignators(bomFields) {
+            if (!bomFields.refdes) return [];
+
+            const expanded = expandDesignators(bomFields.refdes);
+            const messages = expanded.errors.slice();
+
+            const seen = new Set();
+            const repeated = new Set();
+            expanded.designators.forEach(designator => {
+                const key = designator.toUpperCase();
+                if (seen.has(key)) repeated.add(designator);
+                seen.add(key);
+            });
+            if (repeated.size > 0) {
+                messages.push('Repeated designators: ' + Array.from(repeated).join(', '));
+            }
+
+            const quantity = bomFields.quantity === undefined ? 1 : bomFields.quantity;
+            if (expanded.designators.length !== quantity) {
+                messages.push(expanded.designators.length + ' designators but quantity is ' + quantity);
+            }
+
+            return messages;
+        }
+
+        /**
+         * Apply the Duplicate Components policy to an assembly's component lines
+         * lines: [{ itemId, rowNumber, quantity, bomFields }] in file order
+         * Returns {
+         *   lines: lines to write - merged lines carry every rowNumber in rowNumbers,
+         *   duplicates: [{ itemId, rowNumbers, quantity }] - items on more than one line
+         * }
+         * With the fail policy, lines come back unchanged; the caller fails the BOM if duplicates is not empty
+         */
+        function applyDuplicatePolicy(lines, policy) {
+            const linesByItem = {};
+            const order = [];
+
+            lines.forEach(line => {
+                if (!linesByItem[line.itemId]) {
+                    linesByItem[line.itemId] = [];
+                    order.push(line.itemId);
+                }
+                linesByItem[line.itemId].push(line);
+            });
+
+            const duplicates = order
+                .filter(itemId => linesByItem[itemId].length > 1)
+                .map(itemId => ({
+                    itemId: itemId,
+                    rowNumbers: linesByItem[itemId].map(line => line.rowNumber),
+                    quantity: linesByItem[itemId].reduce((total, line) => total + line.quantity, 0)
+                }));
+
+            if (policy !== DUPLICATE_POLICY.MERGE) {
+                return { lines: lines, duplicates: duplicates };
+            }
+
+            return {
+                lines: order.map(itemId => mergeLines(linesByItem[itemId])),
+                duplicates: duplicates
+            };
+        }
+
+        /**
+         * Merge lines of one item: quantities summed, designators and memos joined,
+         * other line fields from the first line that has them
+         */
+        function mergeLines(lines) {
+            if (lines.length === 1) return lines[0];
+
+            const bomFields = {};
+            lines.forEach(line => {
+                Object.keys(line.bomFields || {}).forEach(fieldName => {
+                    const value = line.bomFields[fieldName];
+                    if (bomFields[fieldName] === undefined) {
+                        bomFields[fieldName] = value;
+                    } else if (fieldName === 'refdes') {
+                        bomFields.refdes += ', ' + value;
+                    } else if (fieldName === 'memo' && bomFields.memo !== value) {
+                        bomFields.memo += '; ' + value;
+                    }
+                });
+            });
+
+            const quantity = lines.reduce((total, line) => total + line.quantity, 0);
+            bomFields.quantity = quantity;
+
+            return Object.assign({}, lines[0], {
+                quantity: quantity,
+                bomFields: bomFields,
+                rowNumbers: lines.map(line => line.rowNumber)
+            });
+        }
+
+        /**
+         * Set a row's line values on the record's current component line
+         * Returns the values that could not be set, as "Label: reason"
+         */
+        function setLineFields(rec, bomFields) {
+            const errors = [];
+
+            Object.keys(LINE_FIELDS).forEach(fieldName => {
+                const text = bomFields[fieldName];
+                if (text === undefined || text === null || text === '') return;
+
+                const lineField = LINE_FIELDS[fieldName];
+                try {
+                    const value = parseLineValue(fieldName, text);
+                    if (lineField.byText) {
+                        rec.setCurrentSublistText({ sublistId: 'component', fieldId: lineField.fieldId, text: value });
+                    } else {
+                        rec.setCurrentSublistValue({ sublistId: 'component', fieldId: lineField.fieldId, value: value });
+                    }
+                } catch (e) {
+                    errors.push(lineField.label + ': ' + (e.message || e.toString()));
+                }
+            });
+
+            return errors;
+        }
+
+        /**
+         * Line values that will not convert, for the Validate Only report: [{ field, label, message }]
+         */
+        function checkLineFields(bomFields) {
+            const problems = [];
+
+            Object.keys(LINE_FIELDS).forEach(fieldName => {
+                const text = bomFields[fieldName];
+                if (text === undefined || text === null || text === '') return;
+
+                try {
+                    parseLineValue(fieldName, text);
+                } catch (e) {
+                    problems.push({ field: fieldName, label: LINE_FIELDS[fieldName].label, message: e.message });
+                }
+            });
+
+            return problems;
+        }
+
+        return {
+            LINE_FIELDS: LINE_FIELDS,
+            DUPLICATE_POLICY: DUPLICATE_POLICY,
+            isLineField: isLineField,
+            parseLineValue: parseLineValue,
+            expandDesignators: expandDesignators,
+            checkDesignators: checkDesignators,
+            applyDuplicatePolicy: applyDuplicatePolicy,
+            setLineFields: setLineFields,
+            checkLineFields: checkLineFields
+        };
+    });
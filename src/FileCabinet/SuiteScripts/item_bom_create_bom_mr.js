@@ -0,0 +1,1049 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import BOM Stage Map/Reduce Script
+ *
+ * Purpose: Create the BOMs, BOM revisions, and assembly links for an import, one assembly per
+ * reduce, so a product with thousands of assemblies is not held to one summarize budget
+ *
+ * Started by the item stage's summarize (item_bom_create_mr) once every item exists, for the
+ * same run and config file. The run stays Processing, and keeps the prospect lock, until this
+ * script's summarize has written the totals and results file.
+ *
+ * Stages:
+ * - getInputData: one unit per assembly item, with the assembly's and its components' internal
+ *   IDs resolved in one batched lookup
+ * - map: keys each unit by assembly item ID
+ * - reduce: BOM, revision (created, or compared with the file and revised), and
+ *   the Master Default link on the assembly item
+ * - summarize: BOM totals, results CSV (item outcomes staged by the item stage plus BOM and
+ *   revision IDs), governance report, and lock release
+ *
+ * Script and deployment: src/Objects/customscript_item_bom_create_bom_mr.xml
+ *
+ * Script Parameters:
+ * - custscript_bom_bom_config_file_id: Internal ID of the JSON config file
+ */
+
+define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/format', './item_bom_run_lib', './item_bom_file_lib', './item_bom_rows_lib', './item_bom_field_lib', './item_bom_itemtype_lib', './item_bom_component_lib', './item_bom_revision_lib', './item_bom_staging_lib', './item_bom_lookup_lib', './item_bom_results_lib'],
+    function(record, search, file, runtime, format, runLib, fileLib, rowsLib, fieldLib, itemTypeLib, componentLib, revisionLib, stagingLib, lookupLib, resultsLib) {
+
+        // BOM revision code when the file has no Revision column (<itemid>_REV_A)
+        const DEFAULT_REVISION = 'A';
+
+        /**
+         * GET INPUT DATA - One unit per assembly item
+         */
+        function getInputData() {
+            try {
+                log.audit('========================================', '');
+                log.audit('BOM STAGE - GET INPUT DATA', '');
+                log.audit('========================================', '');
+
+                const run = loadRunConfig();
+                const config = run.config;
+                const allRows = loadRows(run);
+
+                // One BOM per assembly item: occurrences are grouped by item ID, and the first one
+                // with children defines the BOM
+                const assemblyGroups = rowsLib.groupAssemblies(allRows);
+
+                // Every assembly and component internal ID in one batched lookup
+                const itemIndex = lookupLib.findItems(allRows.map(row => config.prospectName + '_' + row.itemFields.itemid));
+
+                log.audit('Assemblies to Process', assemblyGroups.length + ' assemblies, ' + Object.keys(itemIndex).length + ' items resolved');
+
+                return assemblyGroups.map(group => buildAssemblyUnit(group, config, itemIndex));
+
+            } catch (e) {
+                log.error('getInputData Error', e.toString() + '\n' + e.stack);
+                throw e;
+            }
+        }
+
+        /**
+         * One assembly's own data for reduce (run settings are loaded there):
+         * { itemId, rowNumber, rowKeys, revision, conflict, assemblyItem,
+         *   lines: [{ itemId, rowNumber, quantity, bomFields, internalId }] }
+         * rowNumber is the defining occurrence; rowKeys are every occurrence and reference
+         */
+        function buildAssemblyUnit(group, config, itemIndex) {
+            const occurrences = group.rows.concat(group.references);
+
+            return {
+                itemId: group.itemId,
+                rowNumber: group.rows[0].rowNumber,
+                rowKeys: occurrences.map(row => row.rowKey),
+                // Defining row's revision, or one written on a repeat of the assembly
+                revision: occurrences.map(row => row.revision).find(Boolean) || null,
+                conflict: group.conflict,
+                assemblyItem: itemIndex[config.prospectName + '_' + group.itemId] || null,
+                lines: group.children.map(child => {
+                    const item = itemIndex[config.prospectName + '_' + child.itemFields.itemid];
+                    return {
+                        itemId: child.itemFields.itemid,
+                        rowNumber: child.rowNumber,
+                        quantity: child.bomFields.quantity || 1,
+                        bomFields: child.bomFields,
+                        internalId: item ? item.id : null
+                    };
+                })
+            };
+        }
+
+        /**
+         * MAP - Key each assembly unit by its item ID
+         */
+        function map(context) {
+            try {
+                const unit = JSON.parse(context.value);
+                context.write(unit.itemId, context.value);
+            } catch (e) {
+                log.error('map Error', 'Key: ' + context.key + ', Error: ' + e.toString());
+            }
+        }
+
+        /**
+         * REDUCE - Create the BOM, revision, and link for one assembly
+         */
+        function reduce(context) {
+            try {
+                const settings = runLib.getRunSettings(runtime.getCurrentScript().getParameter({ name: 'custscript_bom_bom_config_file_id' }));
+                context.values.forEach(value => {
+                    const result = processAssembly(JSON.parse(value), settings);
+                    result.rowResultUsage = runLib.takeRowResultUsage();
+                    context.write(context.key, JSON.stringify(result));
+                });
+            } catch (e) {
+                log.error('reduce Error', 'Key: ' + context.key + ', Error: ' + e.toString() + '\n' + e.stack);
+            }
+        }
+
+        /**
+         * Create or get the BOM and revision for an assembly unit, and link the BOM to the assembly
+         * Writes the BOM and revision row results
+         * settings: run settings from runLib.getRunSettings
+         * Returns { rowKeys, bomOutcome: { bomId, revisionId, error } or null, counts }
+         */
+        function processAssembly(unit, settings) {
+            const runId = settings.runId;
+            const prospectName = settings.prospectName;
+            const defaults = settings.defaults;
+            const assemblyItemId = unit.itemId;
+            const counts = {
+                bomsCreated: 0,
+                bomsFailed: 0,
+                revisionsCreated: 0,
+                revisionsUpdated: 0,
+                revisionsFailed: 0,
+                linksCreated: 0
+            };
+            let bomOutcome = null;
+
+            const result = () => ({ rowKeys: unit.rowKeys, bomOutcome: bomOutcome, counts: counts });
+
+            try {
+                // Assembly internal ID and record type (assembly, lot numbered, or serialized)
+                const assemblyExternalId = prospectName + '_' + assemblyItemId;
+                const assemblyItem = unit.assemblyItem;
+                const assemblyInternalId = assemblyItem ? assemblyItem.id : null;
+
+                if (!assemblyInternalId) {
+                    log.error('Assembly Not Found', 'Assembly ' + assemblyItemId + ' not found');
+                    counts.bomsFailed++;
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: 'Assembly item ' + assemblyExternalId + ' not found'
+                    });
+                    return result();
+                }
+
+                // An existing item of another type cannot take a BOM
+                if (!itemTypeLib.isAssemblyType(assemblyItem.recordType)) {
+                    log.error('Not An Assembly', 'Item ' + assemblyItemId + ' exists as ' + assemblyItem.recordType);
+                    counts.bomsFailed++;
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: 'Item exists as ' + assemblyItem.recordType + '; BOM not created'
+                    });
+                    return result();
+                }
+
+                // Occurrences with different components cannot share one BOM
+                if (unit.conflict) {
+                    log.error('Conflicting Components', unit.conflict);
+                    counts.bomsFailed++;
+                    bomOutcome = { error: unit.conflict };
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: unit.conflict
+                    });
+                    return result();
+                }
+
+                if (unit.lines.length === 0) {
+                    log.audit('No Children', 'Assembly ' + assemblyItemId + ' has no direct children');
+                    return result();
+                }
+
+                // Same item more than once under this assembly: merge, keep, or fail per policy
+                const duplicatePolicy = defaults.duplicateComponents;
+                const componentLines = componentLib.applyDuplicatePolicy(unit.lines, duplicatePolicy);
+
+                if (componentLines.duplicates.length > 0) {
+                    log.audit('Duplicate Components', 'Assembly: ' + assemblyItemId + ', Policy: ' + duplicatePolicy + ', ' +
+                        componentLines.duplicates.map(duplicate => duplicate.itemId + ' (rows ' + duplicate.rowNumbers.join(', ') + ')').join('; '));
+                }
+
+                if (componentLines.duplicates.length > 0 && duplicatePolicy === componentLib.DUPLICATE_POLICY.FAIL) {
+                    const duplicateError = 'Duplicate components: ' + componentLines.duplicates.map(duplicate =>
+                        duplicate.itemId + ' (rows ' + duplicate.rowNumbers.join(', ') + ')'
+                    ).join('; ');
+                    counts.bomsFailed++;
+                    bomOutcome = { error: duplicateError };
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: duplicateError
+                    });
+                    return result();
+                }
+
+                // Build component list (internal IDs resolved in getInputData)
+                const components = [];
+                const missingComponents = [];
+                componentLines.lines.forEach(line => {
+                    log.debug('Component Data', 'Item: ' + line.itemId +
+                        ', bomFields: ' + JSON.stringify(line.bomFields) +
+                        ', quantity: ' + line.quantity);
+
+                    if (line.internalId) {
+                        components.push({
+                            itemId: line.itemId,
+                            internalId: line.internalId,
+                            quantity: line.quantity,
+                            bomFields: line.bomFields
+                        });
+                    } else {
+                        log.error('Component Not Found', 'Component ' + line.itemId + ' not found');
+                        missingComponents.push(line.itemId);
+                    }
+                });
+
+                if (components.length === 0) {
+                    log.error('No Valid Components', 'Assembly ' + assemblyItemId + ' has no valid components');
+                    counts.bomsFailed++;
+                    bomOutcome = { error: 'No valid components found for assembly: ' + missingComponents.join(', ') };
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: bomOutcome.error
+                    });
+                    return result();
+                }
+
+                log.audit('Creating BOM', 'Assembly: ' + assemblyItemId + ' with ' + components.length + ' components');
+
+                // Create or get BOM
+                const bomResult = createOrGetBOM(assemblyItemId, assemblyInternalId, prospectName, defaults);
+
+                bomOutcome = { bomId: bomResult.bomId, error: bomResult.error };
+
+                if (!bomResult.bomId) {
+                    counts.bomsFailed++;
+                    runLib.addRowResult(runId, {
+                        rowNumber: unit.rowNumber,
+                        itemId: assemblyItemId,
+                        recordType: 'bom',
+                        action: runLib.ACTION.FAILED,
+                        error: bomResult.error
+                    });
+                    return result();
+                }
+
+                if (bomResult.created) {
+                    counts.bomsCreated++;
+                }
+                runLib.addRowResult(runId, {
+                    rowNumber: unit.rowNumber,
+                    itemId: assemblyItemId,
+                    recordType: 'bom',
+                    internalId: bomResult.bomId,
+                    action: bomResult.created ? runLib.ACTION.CREATED : runLib.ACTION.SKIPPED
+                });
+
+                // Create or get BOM Revision
+                const revisionResult = createOrGetBOMRevision(bomResult.bomId, assemblyItemId, components, prospectName, {
+                    revision: unit.revision,
+                    startDate: parseRevisionDate(defaults.revisionStartDate),
+                    endDate: parseRevisionDate(defaults.revisionEndDate),
+                    updateMode: defaults.revisionUpdateMode,
+                    missingComponents: missingComponents
+                });
+
+                let revisionAction;
+                if (revisionResult.created) {
+                    counts.revisionsCreated++;
+                    revisionAction = runLib.ACTION.CREATED;
+                } else if (revisionResult.updated) {
+                    counts.revisionsUpdated++;
+                    revisionAction = runLib.ACTION.UPDATED;
+                } else if (revisionResult.exists) {
+                    // Revision already exists (or matches the file)
+                    revisionAction = runLib.ACTION.SKIPPED;
+                } else {
+                    counts.revisionsFailed++;
+                    revisionAction = runLib.ACTION.FAILED;
+                }
+
+                // Components left out (unless the revision was refused for them), changes found against the
+                // existing revision, then line notes or the error
+                const revisionNote = [
+                    missingComponents.length > 0 && !revisionResult.missingComponents
+                        ? 'Components not found: ' + missingComponents.join(', ')
+                        : '',
+                    revisionResult.changes ? 'Changes: ' + revisionResult.changes : '',
+                    revisionResult.error || ''
+                ].filter(Boolean).join(' | ');
+
+                bomOutcome.revisionId = revisionResult.revisionId;
+                bomOutcome.error = revisionNote;
+
+                runLib.addRowResult(runId, {
+                    rowNumber: unit.rowNumber,
+                    itemId: assemblyItemId,
+                    recordType: 'bomrevision',
+                    internalId: revisionResult.revisionId,
+                    action: revisionAction,
+                    error: revisionNote
+                });
+
+                // IDEMPOTENT: Link BOM to assembly item if not already linked
+                if (ensureBOMLinkedToAssembly(assemblyInternalId, assemblyItem.recordType, bomResult.bomId, assemblyItemId)) {
+                    counts.linksCreated++;
+                }
+
+            } catch (e) {
+                counts.bomsFailed++;
+                log.error('BOM Process Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
+                runLib.addRowResult(runId, {
+                    rowNumber: unit.rowNumber,
+                    itemId: assemblyItemId,
+                    recordType: 'bom',
+                    action: runLib.ACTION.FAILED,
+                    error: e.toString()
+                });
+            }
+
+            return result();
+        }
+
+        /**
+         * SUMMARIZE - Total the BOM results, write the results file, and finish the run
+         */
+        function summarize(context) {
+            const startingUsage = runtime.getCurrentScript().getRemainingUsage();
+            let runId = null;
+
+            try {
+                log.audit('========================================', '');
+                log.audit('BOM STAGE - SUMMARIZE', '');
+                log.audit('========================================', '');
+
+                const run = loadRunConfig();
+                const config = run.config;
+                const folderId = run.configFile.folder;
+                runId = config.runId || null;
+
+                const counts = {
+                    bomsCreated: 0,
+                    bomsFailed: 0,
+                    revisionsCreated: 0,
+                    revisionsUpdated: 0,
+                    revisionsFailed: 0,
+                    linksCreated: 0
+                };
+
+                // Every occurrence of a shared assembly shows the BOM it shares in the results file
+                const bomOutcomes = {};
+                const rowResultUsage = { records: 0, units: 0 };
+                context.output.iterator().each(function(key, value) {
+                    const output = JSON.parse(value);
+                    Object.keys(counts).forEach(name => {
+                        counts[name] += output.counts[name] || 0;
+                    });
+                    if (output.rowResultUsage) {
+                        rowResultUsage.records += output.rowResultUsage.records;
+                        rowResultUsage.units += output.rowResultUsage.units;
+                    }
+                    if (output.bomOutcome) {
+                        output.rowKeys.forEach(rowKey => {
+                            bomOutcomes[rowKey] = output.bomOutcome;
+                        });
+                    }
+                    return true;
+                });
+
+                // Item outcomes staged by the item stage
+                const outcomesKey = stagingLib.getStageKey(runId, run.configFileId, 'outcomes');
+                const rowOutcomes = {};
+                (stagingLib.read(outcomesKey, folderId) || []).forEach(rowResult => {
+                    rowOutcomes[rowResult.rowKey] = rowResult;
+                });
+
+                const allRows = loadRows(run);
+                const resultsFileIds = resultsLib.writeResultsFile(config, folderId, allRows, rowOutcomes, bomOutcomes);
+
+                const itemStage = runLib.getRun(runId);
+                const governance = [
+                    itemStage && itemStage.governance,
+                    'BOM stage - ' + runLib.buildGovernanceReport(context, startingUsage - runtime.getCurrentScript().getRemainingUsage(), rowResultUsage)
+                ].filter(Boolean).join(' | ');
+
+                runLib.updateRun(runId, {
+                    status: context.inputSummary.error ? runLib.RUN_STATUS.FAILED : runLib.RUN_STATUS.COMPLETE,
+                    endTime: new Date(),
+                    bomsCreated: counts.bomsCreated,
+                    bomsFailed: counts.bomsFailed,
+                    revisionsCreated: counts.revisionsCreated,
+                    revisionsUpdated: counts.revisionsUpdated,
+                    revisionsFailed: counts.revisionsFailed,
+                    resultsFileId: resultsFileIds[0] || null,
+                    resultsFileIds: resultsFileIds.join(','),
+                    governance: governance
+                });
+
+                // Log summary
+                log.audit('========================================', '');
+                log.audit('BOM STAGE SUMMARY', '');
+                log.audit('========================================', '');
+                log.audit('Prospect', config.prospectName);
+                log.audit('BOMs Created', counts.bomsCreated);
+                log.audit('BOMs Failed', counts.bomsFailed);
+                log.audit('Revisions Created', counts.revisionsCreated);
+                log.audit('Revisions Updated', counts.revisionsUpdated);
+                log.audit('Revisions Failed', counts.revisionsFailed);
+                log.audit('BOM Links Created', counts.linksCreated);
+                log.audit('Results File', resultsFileIds.join(', '));
+                log.audit('Governance', governance);
+
+                runLib.logStageErrors(context);
+
+                stagingLib.remove(stagingLib.getStageKey(runId, run.configFileId), folderId);
+                stagingLib.remove(outcomesKey, folderId);
+
+                log.audit('========================================', '');
+                log.audit('IMPORT COMPLETE', '');
+                log.audit('========================================', '');
+
+            } catch (e) {
+                log.error('summarize Error', e.toString() + '\n' + e.stack);
+                runLib.updateRun(runId, { status: runLib.RUN_STATUS.FAILED, endTime: new Date() });
+            } finally {
+                // Taken by the item stage's getInputData
+                runLib.releaseLock(runId);
+            }
+        }
+
+        /**
+         * Load the config file named by the script parameter: { configFileId, configFile, config }
+         */
+        function loadRunConfig() {
+            const configFileId = runtime.getCurrentScript().getParameter({ name: 'custscript_bom_bom_config_file_id' });
+            if (!configFileId) {
+                throw new Error('Config file ID parameter is required');
+            }
+
+            const configFile = file.load({ id: configFileId });
+            return { configFileId: configFileId, configFile: configFile, config: JSON.parse(configFile.getContents()) };
+        }
+
+        /**
+         * The run's staged rows, or the rows rebuilt from the import file (same row model)
+         */
+        function loadRows(run) {
+            const stageKey = stagingLib.getStageKey(run.config.runId || null, run.configFileId);
+            const rows = stagingLib.read(stageKey, run.configFile.folder);
+            if (rows) {
+                log.audit('Rows from Stage', 'Stage: ' + stageKey + ', ' + rows.length + ' rows');
+                return rows;
+            }
+
+            log.audit('Stage Missing', 'Stage: ' + stageKey + ' - rebuilding rows from the import file');
+            return rowsLib.buildRows(run.config, fileLib.load(run.config.csvFileId, { sheetName: run.config.sheetName })).rows;
+        }
+
+        /**
+         * Create or get existing BOM
+         */
+        function createOrGetBOM(assemblyItemId, assemblyInternalId, prospectName, defaults) {
+            try {
+                const bomName = assemblyItemId + '_BOM';
+                const externalId = prospectName + '_' + bomName;
+
+                // Check if BOM already exists
+                const existingBom = findBOMByExternalId(externalId);
+                if (existingBom) {
+                    log.debug('BOM Exists', 'BOM: ' + bomName + ' (ID: ' + existingBom + ')');
+                    return { bomId: existingBom, created: false };
+                }
+
+                const bomRec = record.create({
+                    type: 'bom',
+                    isDynamic: true
+                });
+
+                bomRec.setValue({ fieldId: 'name', value: bomName });
+                bomRec.setValue({ fieldId: 'subsidiary', value: defaults.subsidiaryId });
+                bomRec.setValue({ fieldId: 'includechildren', value: true });
+                bomRec.setValue({ fieldId: 'externalid', value: externalId });
+
+                const bomId = bomRec.save();
+
+                log.audit('BOM Created', 'BOM: ' + bomName + ' (ID: ' + bomId + ')');
+
+                return { bomId: bomId, created: true };
+
+            } catch (e) {
+                log.error('BOM Creation Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
+                return { bomId: null, created: false, error: e.toString() };
+            }
+        }
+
+        /**
+         * Find BOM by external ID
+         */
+        function findBOMByExternalId(externalId) {
+            try {
+                const bomSearch = search.create({
+                    type: 'bom',
+                    filters: [['externalid', 'is', externalId]],
+                    columns: ['internalid']
+                });
+
+                const results = bomSearch.run().getRange({ start: 0, end: 1 });
+                
+                if (results.length > 0) {
+                    return results[0].getValue('internalid');
+                }
+            } catch (e) {
+                log.debug('BOM Search Error', e.toString());
+            }
+            return null;
+        }
+
+        /**
+         * Create or get existing BOM Revision with components
+         * components: [{ itemId, internalId, quantity, bomFields }] - bomFields carries the line columns
+         * options: { revision, startDate, endDate, updateMode, missingComponents } - revision code from the
+         * file (default A), effective dates and Existing BOM Revisions mode from Item Defaults, and the
+         * file's components that were not found
+         * An existing revision is skipped, or compared with the file and changed per updateMode
+         * (see updateBOMRevision)
+         * A revision in effect is never changed or replaced while components are missing - they would
+         * be dropped from the BOM
+         */
+        function createOrGetBOMRevision(bomId, assemblyItemId, components, prospectName, options) {
+            const revisionOptions = options || {};
+            const missingComponents = revisionOptions.missingComponents || [];
+
+            try {
+                const revisionCode = revisionOptions.revision || DEFAULT_REVISION;
+                const revisionName = assemblyItemId + '_REV_' + revisionCode;
+                const externalId = prospectName + '_' + revisionName;
+
+                // Check if revision already exists
+                const existingRevision = findBOMRevisionByExternalId(externalId);
+                if (existingRevision) {
+                    const updateMode = revisionOptions.updateMode || revisionLib.REVISION_UPDATE_MODE.SKIP;
+                    if (updateMode === revisionLib.REVISION_UPDATE_MODE.SKIP) {
+                        log.debug('BOM Revision Exists', 'Revision: ' + revisionName + ' (ID: ' + existingRevision + ')');
+                        return { revisionId: existingRevision, created: false, exists: true };
+                    }
+                    if (missingComponents.length > 0) {
+                        return missingComponentsResult(existingRevision, missingComponents);
+                    }
+
+                    return updateBOMRevision(bomId, existingRevision, assemblyItemId, revisionCode, components, prospectName, revisionOptions);
+                }
+
+                // A new revision would end-date the one in effect
+                if (missingComponents.length > 0 && findBOMRevisions(bomId).some(revision => revision.open)) {
+                    return missingComponentsResult(null, missingComponents);
+                }
+
+                return createBOMRevision(bomId, assemblyItemId, revisionCode, components, prospectName, revisionOptions);
+
+            } catch (e) {
+                log.error('BOM Revision Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
+                return { revisionId: null, created: false, exists: false, error: e.toString() };
+            }
+        }
+
+        /**
+         * Create a BOM revision (<itemid>_REV_<revisionCode>)
+         * Start date defaults to yesterday, or today after an earlier revision; the revisions still in
+         * effect at the start date are end-dated (and restored if the new revision cannot be saved)
+         * A component line that cannot be added fails the revision rather than saving it without the line
+         * A created revision's error lists line values that could not be set and designator warnings
+         */
+        function createBOMRevision(bomId, assemblyItemId, revisionCode, components, prospectName, revisionOptions) {
+            const endDated = [];
+
+            try {
+                const revisionName = assemblyItemId + '_REV_' + revisionCode;
+                const externalId = prospectName + '_' + revisionName;
+                const openRevisions = findBOMRevisions(bomId).filter(revision => revision.open);
+
+                let startDate = revisionOptions.startDate;
+                if (!startDate) {
+                    startDate = startOfDay(new Date());
+                    if (openRevisions.length === 0) {
+                        startDate.setDate(startDate.getDate() - 1);
+                    }
+                }
+
+                if (revisionOptions.endDate && revisionOptions.endDate <= startDate) {
+                    throw new Error('Revision Effective End must be after the start date');
+                }
+
+                // The revisions being replaced must have started before this one
+                openRevisions.forEach(previous => {
+                    if (previous.startDate && previous.startDate >= startDate) {
+                        throw new Error('Revision ' + revisionName + ' would start on or before ' + previous.name +
+                            ' (' + previous.startText + '); set a later Revision Effective Start');
+                    }
+                });
+
+                // End-date the revisions in effect, so the new one does not overlap them
+                openRevisions.forEach(previous => {
+                    record.submitFields({
+                        type: 'bomrevision',
+                        id: previous.id,
+                        values: { effectiveenddate: startDate }
+                    });
+                    endDated.push(previous);
+                    log.audit('BOM Revision End-Dated', 'Revision: ' + previous.name + ' (ID: ' + previous.id + ') ends ' + startDate.toDateString());
+                });
+
+                const bomRevRec = record.create({
+                    type: 'bomrevision',
+                    isDynamic: true
+                });
+
+                bomRevRec.setValue({ fieldId: 'name', value: revisionName });
+                bomRevRec.setValue({ fieldId: 'billofmaterials', value: bomId });
+                bomRevRec.setValue({ fieldId: 'effectivestartdate', value: startDate });
+                if (revisionOptions.endDate) {
+                    bomRevRec.setValue({ fieldId: 'effectiveenddate', value: revisionOptions.endDate });
+                }
+                bomRevRec.setValue({
+                    fieldId: 'memo',
+                    value: (openRevisions.length > 0 ? 'Revision ' + revisionCode : 'Initial revision') + ' - ' + prospectName
+                });
+                bomRevRec.setValue({ fieldId: 'externalid', value: externalId });
+
+                // Add components
+                const notes = { lineFieldErrors: [], designatorWarnings: [], failedLines: [] };
+                components.forEach(component => addComponentLine(bomRevRec, component, notes));
+
+                // A revision missing lines must not replace the one in effect - failing restores its end date
+                if (notes.failedLines.length > 0) {
+                    throw new Error('Components could not be added: ' + notes.failedLines.join('; '));
+                }
+
+                const revisionId = bomRevRec.save();
+
+                log.audit('BOM Revision Created', 'Revision: ' + revisionName + ' (ID: ' + revisionId + ') with ' + components.length + ' components');
+
+                return {
+                    revisionId: revisionId,
+                    created: true,
+                    exists: false,
+                    error: joinRevisionNotes(notes.lineFieldErrors, notes.designatorWarnings)
+                };
+
+            } catch (e) {
+                log.error('BOM Revision Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
+
+                // Put back the end dates, so the previous revision stays in effect
+                endDated.forEach(previous => {
+                    try {
+                        record.submitFields({
+                            type: 'bomrevision',
+                            id: previous.id,
+                            values: { effectiveenddate: previous.endDate || '' }
+                        });
+                    } catch (restoreError) {
+                        log.error('BOM Revision End Date Restore Failed', 'Revision: ' + previous.name + ', Error: ' + restoreError.toString());
+                    }
+                });
+
+                return { revisionId: null, created: false, exists: false, error: e.toString() };
+            }
+        }
+
+        /**
+         * Compare the file's components with the latest revision in the series that starts at the file's
+         * code (existingRevisionId, or the revisions earlier runs created after it) and apply the changes:
+         * a new revision with the next free code, or that revision updated in place
+         * Returns the revision result with changes (summary of added, removed, quantity-changed, and
+         * line-field-changed components); a revision without changes is reported as existing
+         */
+        function updateBOMRevision(bomId, existingRevisionId, assemblyItemId, revisionCode, components, prospectName, revisionOptions) {
+            // Earlier runs may have revised the file's revision already (A -> B -> C): compare with the
+            // latest revision in that series, so importing the same file again finds no changes
+            const revisionPrefix = assemblyItemId + '_REV_';
+            const seriesIds = {};
+            findBOMRevisions(bomId)
+                .filter(revision => revision.name.indexOf(revisionPrefix) === 0)
+                .forEach(revision => {
+                    seriesIds[revision.name.substring(revisionPrefix.length).toUpperCase()] = revision.id;
+                });
+            const takenCodes = Object.keys(seriesIds);
+            const currentCode = revisionLib.latestRevisionCode(revisionCode, takenCodes);
+            const currentId = currentCode === revisionCode ? existingRevisionId : seriesIds[currentCode.toUpperCase()];
+
+            const currentRec = record.load({ type: 'bomrevision', id: currentId, isDynamic: true });
+            const currentLines = readComponentLines(currentRec);
+
+            // Line columns the file leaves blank keep the revision's values, in the diff and in the lines written
+            const revisedComponents = revisionLib.fillBlankLineFields(components, currentLines);
+            const diff = revisionLib.diffComponents(currentLines, revisedComponents);
+
+            if (!diff.hasChanges) {
+                log.debug('BOM Revision Unchanged', 'Assembly: ' + assemblyItemId + ', Revision ID: ' + currentId);
+                return { revisionId: currentId, created: false, exists: true };
+            }
+
+            const changes = revisionLib.describeChanges(diff);
+            log.audit('BOM Revision Changes', 'Assembly: ' + assemblyItemId + ', Revision ID: ' + currentId + ', ' + changes);
+
+            if (revisionOptions.updateMode === revisionLib.REVISION_UPDATE_MODE.IN_PLACE) {
+                const notes = { lineFieldErrors: [], designatorWarnings: [], failedLines: [] };
+
+                // Remove the lines of removed and changed items (last line first), then add the file's lines
+                const linesToRemove = [];
+                diff.removed.concat(diff.changed).forEach(item => {
+                    item.lines.forEach(line => linesToRemove.push(line));
+                });
+                linesToRemove.sort((a, b) => b - a).forEach(line => {
+                    currentRec.removeLine({ sublistId: 'component', line: line });
+                });
+
+                const changedIds = new Set(diff.added.concat(diff.changed).map(item => String(item.internalId)));
+                revisedComponents
+                    .filter(component => changedIds.has(String(component.internalId)))
+                    .forEach(component => addComponentLine(currentRec, component, notes));
+
+                // Lines are already removed - leave the revision unsaved rather than lose components
+                if (notes.failedLines.length > 0) {
+                    log.error('BOM Revision Not Updated', 'Assembly: ' + assemblyItemId + ', Revision ID: ' + currentId);
+                    return {
+                        revisionId: currentId,
+                        created: false,
+                        exists: false,
+                        error: 'Revision not updated - components could not be added: ' + notes.failedLines.join('; ')
+                    };
+                }
+
+                currentRec.save();
+
+                log.audit('BOM Revision Updated', 'Assembly: ' + assemblyItemId + ', Revision ID: ' + currentId);
+
+                return {
+                    revisionId: currentId,
+                    created: false,
+                    exists: false,
+                    updated: true,
+                    changes: changes,
+                    error: joinRevisionNotes(notes.lineFieldErrors, notes.designatorWarnings)
+                };
+            }
+
+            // New revision with the next free code after the series' latest (A -> B)
+            const nextCode = revisionLib.nextRevisionCode(currentCode, takenCodes);
+
+            const result = createBOMRevision(bomId, assemblyItemId, nextCode, revisedComponents, prospectName, revisionOptions);
+            result.changes = changes;
+            return result;
+        }
+
+        /**
+         * Revision result for a revision left alone because components were not found
+         */
+        function missingComponentsResult(revisionId, missingComponents) {
+            log.error('BOM Revision Not Changed', 'Components not found: ' + missingComponents.join(', '));
+            return {
+                revisionId: revisionId,
+                created: false,
+                exists: false,
+                missingComponents: missingComponents,
+                error: 'Revision not changed - components not found: ' + missingComponents.join(', ')
+            };
+        }
+
+        /**
+         * Add one component line to a BOM revision: item, quantity, and the line columns
+         * notes: { lineFieldErrors, designatorWarnings, failedLines } - collects what to report on the revision result
+         * Returns true if the line was added (a line that was not is listed in failedLines)
+         */
+        function addComponentLine(bomRevRec, component, notes) {
+            try {
+                bomRevRec.selectNewLine({ sublistId: 'component' });
+                bomRevRec.setCurrentSublistValue({
+                    sublistId: 'component',
+                    fieldId: 'item',
+                    value: component.internalId
+                });
+                bomRevRec.setCurrentSublistValue({
+                    sublistId: 'component',
+                    fieldId: 'bomquantity',
+                    value: component.quantity
+                });
+
+                // Memo, reference designators, yield, item source, units
+                const lineErrors = componentLib.setLineFields(bomRevRec, component.bomFields || {});
+                if (lineErrors.length > 0) {
+                    log.error('Component Line Field Error', 'Component: ' + component.itemId + ', ' + lineErrors.join('; '));
+                    notes.lineFieldErrors.push(component.itemId + ' (' + lineErrors.join(', ') + ')');
+                }
+
+                const designatorMessages = componentLib.checkDesignators(component.bomFields || {});
+                if (designatorMessages.length > 0) {
+                    notes.designatorWarnings.push(component.itemId + ' (' + designatorMessages.join(', ') + ')');
+                }
+
+                bomRevRec.commitLine({ sublistId: 'component' });
+                return true;
+            } catch (e) {
+                log.error('Component Add Failed', 'Component: ' + component.itemId + ', Error: ' + e.toString());
+                notes.failedLines.push(component.itemId + ' (' + (e.message || e.toString()) + ')');
+                return false;
+            }
+        }
+
+        /**
+         * Component lines of a loaded BOM revision: [{ line, internalId, itemName, quantity, lineFields }]
+         * lineFields: the line columns by mapped field name, as text
+         */
+        function readComponentLines(bomRevRec) {
+            const lines = [];
+            const lineCount = bomRevRec.getLineCount({ sublistId: 'component' });
+
+            for (let i = 0; i < lineCount; i++) {
+                lines.push({
+                    line: i,
+                    internalId: bomRevRec.getSublistValue({ sublistId: 'component', fieldId: 'item', line: i }),
+                    itemName: bomRevRec.getSublistText({ sublistId: 'component', fieldId: 'item', line: i }),
+                    quantity: bomRevRec.getSublistValue({ sublistId: 'component', fieldId: 'bomquantity', line: i }),
+                    lineFields: readLineFields(bomRevRec, i)
+                });
+            }
+
+            return lines;
+        }
+
+        /**
+         * Line column values of a component line (units by name, as the file gives them)
+         */
+        function readLineFields(bomRevRec, line) {
+            const values = {};
+
+            Object.keys(componentLib.LINE_FIELDS).forEach(fieldName => {
+                const lineField = componentLib.LINE_FIELDS[fieldName];
+                try {
+                    values[fieldName] = lineField.byText
+                        ? bomRevRec.getSublistText({ sublistId: 'component', fieldId: lineField.fieldId, line: line })
+                        : bomRevRec.getSublistValue({ sublistId: 'component', fieldId: lineField.fieldId, line: line });
+                } catch (e) {
+                    values[fieldName] = '';
+                }
+            });
+
+            return values;
+        }
+
+        /**
+         * Revisions of a BOM: [{ id, name, startDate, startText, endDate, open }]
+         * open: no end date, or an end date in the future
+         */
+        function findBOMRevisions(bomId) {
+            const revisions = [];
+            const today = startOfDay(new Date());
+
+            search.create({
+                type: 'bomrevision',
+                filters: [['billofmaterials', 'anyof', bomId]],
+                columns: ['name', 'effectivestartdate', 'effectiveenddate']
+            }).run().each(function(result) {
+                const startText = result.getValue('effectivestartdate');
+                const endText = result.getValue('effectiveenddate');
+                const endDate = endText ? format.parse({ value: endText, type: format.Type.DATE }) : null;
+
+                revisions.push({
+                    id: result.id,
+                    name: result.getValue('name'),
+                    startDate: startText ? format.parse({ value: startText, type: format.Type.DATE }) : null,
+                    startText: startText,
+                    endDate: endDate,
+                    open: !endDate || endDate > today
+                });
+                return true;
+            });
+
+            return revisions;
+        }
+
+        /**
+         * Date at midnight
+         */
+        function startOfDay(date) {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        }
+
+        /**
+         * Revision effective date from Item Defaults (ISO yyyy-mm-dd), or null if not set
+         */
+        function parseRevisionDate(isoDate) {
+            return isoDate ? fieldLib.convertValue('date', isoDate) : null;
+        }
+
+        /**
+         * Note for a created revision's result: line values not set and designator warnings
+         */
+        function joinRevisionNotes(lineFieldErrors, designatorWarnings) {
+            const notes = [];
+            if (lineFieldErrors.length > 0) {
+                notes.push('Line fields not set: ' + lineFieldErrors.join('; '));
+            }
+            if (designatorWarnings.length > 0) {
+                notes.push('Reference designators: ' + designatorWarnings.join('; '));
+            }
+            return notes.length > 0 ? notes.join(' | ') : undefined;
+        }
+
+        /**
+         * Find BOM Revision by external ID
+         */
+        function findBOMRevisionByExternalId(externalId) {
+            try {
+                const revSearch = search.create({
+                    type: 'bomrevision',
+                    filters: [['externalid', 'is', externalId]],
+                    columns: ['internalid']
+                });
+
+                const results = revSearch.run().getRange({ start: 0, end: 1 });
+                
+                if (results.length > 0) {
+                    return results[0].getValue('internalid');
+                }
+            } catch (e) {
+                log.debug('BOM Revision Search Error', e.toString());
+            }
+            return null;
+        }
+
+        /**
+         * IDEMPOTENT: Ensure BOM is linked to assembly item via billofmaterials sublist
+         * Also ensures masterdefault is set on the BOM link
+         * Returns true if link was created or updated, false if already complete
+         */
+        function ensureBOMLinkedToAssembly(assemblyInternalId, assemblyRecordType, bomId, assemblyItemId) {
+            try {
+                // Load assembly to check if BOM is already linked
+                const assemblyRec = record.load({
+                    type: assemblyRecordType,
+                    id: assemblyInternalId,
+                    isDynamic: true
+                });
+
+                // Check existing BOM links on the billofmaterials sublist
+                const lineCount = assemblyRec.getLineCount({ sublistId: 'billofmaterials' });
+                
+                for (let i = 0; i < lineCount; i++) {
+                    const linkedBomId = assemblyRec.getSublistValue({
+                        sublistId: 'billofmaterials',
+                        fieldId: 'billofmaterials',
+                        line: i
+                    });
+                    
+                    if (linkedBomId == bomId) {
+                        // BOM is already linked - check if masterdefault is set
+                        const isMasterDefault = assemblyRec.getSublistValue({
+                            sublistId: 'billofmaterials',
+                            fieldId: 'masterdefault',
+                            line: i
+                        });
+                        
+                        if (isMasterDefault) {
+                            log.debug('BOM Already Linked with Master Default', 'Assembly: ' + assemblyItemId + ', BOM ID: ' + bomId);
+                            return false;
+                        }
+                        
+                        // Update existing line to set masterdefault
+                        assemblyRec.selectLine({ sublistId: 'billofmaterials', line: i });
+                        assemblyRec.setCurrentSublistValue({
+                            sublistId: 'billofmaterials',
+                            fieldId: 'masterdefault',
+                            value: true
+                        });
+                        assemblyRec.commitLine({ sublistId: 'billofmaterials' });
+                        assemblyRec.save();
+                        
+                        log.audit('BOM Master Default Set', 'Assembly: ' + assemblyItemId + ' (ID: ' + assemblyInternalId + '), BOM ID: ' + bomId);
+                        return true;
+                    }
+                }
+
+                // BOM not linked yet - add it
+                assemblyRec.selectNewLine({ sublistId: 'billofmaterials' });
+                assemblyRec.setCurrentSublistValue({
+                    sublistId: 'billofmaterials',
+                    fieldId: 'billofmaterials',
+                    value: bomId
+                });
+                // Set as Master Default
+                assemblyRec.setCurrentSublistValue({
+                    sublistId: 'billofmaterials',
+                    fieldId: 'masterdefault',
+                    value: true
+                });
+                assemblyRec.commitLine({ sublistId: 'billofmaterials' });
+
+                assemblyRec.save();
+
+                log.audit('BOM Linked to Assembly', 'Assembly: ' + assemblyItemId + ' (ID: ' + assemblyInternalId + '), BOM ID: ' + bomId + ', Master Default: true');
+                return true;
+
+            } catch (e) {
+                log.error('BOM Link Failed', 'Assembly: ' + assemblyItemId + ', BOM ID: ' + bomId + ', Error: ' + e.toString());
+                return false;
+            }
+        }
+
+        return {
+            getInputData: getInputData,
+            map: map,
+            reduce: reduce,
+            summarize: summarize
+        };
+    });
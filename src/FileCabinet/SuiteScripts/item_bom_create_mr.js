@@ -8,10 +8,13 @@
  * BOM Import Map/Reduce Script v3
  * 
  * Purpose: Import items, BOMs, and BOM revisions from CSV file using hierarchy notation
+ *
+ * Item stage: creates items in reduce and kits in summarize, then starts the BOM stage
+ * (item_bom_create_bom_mr), which creates the BOMs, revisions, and assembly links.
  * 
  * Features:
- * - Hierarchy-based BOM structure (1.0, 1.1, 1.1.1 notation)
- * - Automatic type detection (assembly vs. inventory based on hierarchy)
+ * - Hierarchy-based BOM structure (1.0, 1.1, 1.1.1 notation), Indented Level, or Parent Part columns
+ * - Automatic type detection (assembly vs. inventory based on hierarchy), or a per-row Item Type
  * - MRP setup with Planning Item Category, varied lead times, lot sizing
  * - Optional vendor creation from CSV
  * - Duplicate handling (items created once, linked to multiple BOMs)
@@ -21,27 +24,17 @@
  * 
  * Script Parameters:
  * - custscript_bom_config_file_id: Internal ID of the JSON config file
+ * - custscript_bom_bom_mr_script_id: Script ID of the BOM stage Map/Reduce (optional - defaults to
+ *   customscript_item_bom_create_bom_mr, shipped in src/Objects)
+ * - custscript_bom_bom_mr_deployment_id: Deployment ID of the BOM stage Map/Reduce (optional - defaults
+ *   to customdeploy_item_bom_create_bom_mr)
  */
 
-define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
-    function(record, search, file, runtime, cache, format) {
-
-        // Default configuration (fallbacks)
-        const DEFAULT_CONFIG = {
-            locationIds: [2, 13],
-            subsidiaryId: 2,  // USA subsidiary
-            vendorId: 625,
-            purchasePrice: 1,
-            taxScheduleId: 1,
-            setupMRP: true,
-            createVendors: false,
-            itemLocationDefaults: {
-                preferredstocklevel: 1000,
-                reorderpoint: 600,
-                safetystocklevel: 100,
-                leadtime: 7
-            }
-        };
+define(['N/record', 'N/search', 'N/file', 'N/runtime', './item_bom_run_lib', './item_bom_file_lib', './item_bom_rows_lib', './item_bom_field_lib', './item_bom_itemtype_lib', './item_bom_component_lib', './item_bom_staging_lib', './item_bom_lookup_lib', './item_bom_results_lib'],
+    function(record, search, file, runtime, runLib, fileLib, rowsLib, fieldLib, itemTypeLib, componentLib, stagingLib, lookupLib, resultsLib) {
+
+        // Default configuration (fallbacks) - shared with the BOM stage
+        const DEFAULT_CONFIG = runLib.DEFAULT_CONFIG;
 
         // MRP Rotation values for demo variety
         const MRP_ROTATION = {
@@ -84,6 +77,19 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 const configFile = file.load({ id: configFileId });
                 const config = JSON.parse(configFile.getContents());
 
+                const runId = config.runId || null;
+
+                // Two runs for one prospect would race to create the same external IDs
+                if (runId) {
+                    const lock = runLib.acquireLock(runId, config.prospectName);
+                    if (!lock.acquired) {
+                        throw new Error('Another import for prospect ' + config.prospectName + ' is running' +
+                            (lock.holder ? ' (Run ID: ' + lock.holder.id + ', Task ID: ' + lock.holder.taskId + ')' : ''));
+                    }
+                }
+
+                runLib.updateRun(runId, { status: runLib.RUN_STATUS.PROCESSING, startTime: new Date() });
+
                 log.audit('Config Loaded', JSON.stringify({
                     prospectName: config.prospectName,
                     csvFileId: config.csvFileId,
@@ -92,17 +98,7 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 }));
 
                 // Set defaults from config or use fallbacks
-                let DEFAULTS = config.defaults || DEFAULT_CONFIG;
-                
-                // Ensure all required properties exist
-                DEFAULTS.locationIds = DEFAULTS.locationIds || DEFAULT_CONFIG.locationIds;
-                DEFAULTS.subsidiaryId = DEFAULTS.subsidiaryId || DEFAULT_CONFIG.subsidiaryId;
-                DEFAULTS.vendorId = DEFAULTS.vendorId !== undefined ? DEFAULTS.vendorId : DEFAULT_CONFIG.vendorId;
-                DEFAULTS.purchasePrice = DEFAULTS.purchasePrice || DEFAULT_CONFIG.purchasePrice;
-                DEFAULTS.taxScheduleId = DEFAULTS.taxScheduleId || DEFAULT_CONFIG.taxScheduleId;
-                DEFAULTS.setupMRP = DEFAULTS.setupMRP !== undefined ? DEFAULTS.setupMRP : DEFAULT_CONFIG.setupMRP;
-                DEFAULTS.createVendors = DEFAULTS.createVendors !== undefined ? DEFAULTS.createVendors : DEFAULT_CONFIG.createVendors;
-                DEFAULTS.itemLocationDefaults = DEFAULTS.itemLocationDefaults || DEFAULT_CONFIG.itemLocationDefaults;
+                const DEFAULTS = runLib.applyDefaults(config);
 
                 log.audit('Defaults Applied', JSON.stringify(DEFAULTS));
 
@@ -113,131 +109,69 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                     log.audit('Planning Item Category', 'ID: ' + planningItemCategoryId);
                 }
 
-                // If Create Vendors is enabled, pre-create vendors from CSV
-                let vendorCache = {};
-                if (DEFAULTS.createVendors) {
-                    vendorCache = createVendorsFromCSV(config.csvFileId, config.mappings, DEFAULTS);
-                    log.audit('Vendors Created', JSON.stringify(vendorCache));
-                }
+                // Load and parse CSV file (or worksheet) - once; vendors are read from the same rows
+                const parsedData = loadBOMFile(config);
+                const headers = parsedData.headers;
+                const allRows = parsedData.rows;
 
-                // Load CSV file
-                const csvFile = file.load({ id: config.csvFileId });
-                const csvContent = csvFile.getContents();
-                const lines = csvContent.split('\n').filter(line => line.trim());
-
-                if (lines.length < 2) {
+                if (allRows.length === 0) {
                     throw new Error('CSV must have at least a header row and one data row');
                 }
 
-                // Parse headers (first row)
-                const headers = parseRow(lines[0]);
-
-                // Parse data rows
-                const allRows = [];
-                for (let i = 1; i < lines.length; i++) {
-                    const rowData = parseRow(lines[i]);
-                    if (rowData.some(cell => cell.trim())) {
-                        allRows.push({
-                            rowNumber: i + 1,
-                            cells: rowData
-                        });
-                    }
-                }
+                log.audit('CSV Parsed', 'Headers: ' + headers.length + ', Data Rows: ' + allRows.length + ', Delimiter: ' + JSON.stringify(parsedData.delimiter));
 
-                log.audit('CSV Parsed', 'Headers: ' + headers.length + ', Data Rows: ' + allRows.length);
+                parsedData.errors.forEach(error => {
+                    log.error('CSV Malformed Row', 'Line ' + error.lineNumber + ': ' + error.message);
+                });
 
-                // Map rows to fields using config
-                const mappedRows = allRows.map(row => {
-                    const mapped = {
-                        rowNumber: row.rowNumber,
-                        hierarchy: null,
-                        itemFields: {},
-                        bomFields: {},
-                        vendorName: null
-                    };
+                // If Create Vendors is enabled, pre-create vendors from CSV
+                let vendorCache = {};
+                if (DEFAULTS.createVendors) {
+                    vendorCache = createVendorsFromCSV(config, DEFAULTS, parsedData);
+                    log.audit('Vendors Created', JSON.stringify(vendorCache));
+                }
 
-                    Object.keys(config.mappings).forEach(colIndex => {
-                        const fieldName = config.mappings[colIndex];
-                        const value = row.cells[parseInt(colIndex)] || '';
-
-                        if (!value.trim()) return;
-
-                        if (fieldName === 'hierarchy') {
-                            mapped.hierarchy = value.trim();
-                        } else if (fieldName === 'quantity') {
-                            mapped.bomFields.quantity = parseFloat(value) || 1;
-                        } else if (fieldName === 'memo') {
-                            mapped.bomFields.memo = value.trim();
-                        } else if (fieldName === 'vendor') {
-                            mapped.vendorName = value.trim();
-                        } else if (fieldName === 'displayname') {
-                            // Map to all three description fields
-                            mapped.itemFields.displayname = value.trim();
-                            mapped.itemFields.salesdescription = value.trim();
-                            mapped.itemFields.purchasedescription = value.trim();
-                        } else {
-                            // Item field
-                            mapped.itemFields[fieldName] = value.trim();
-                        }
-                    });
+                // Run-wide settings go in the run config, which map and reduce load once per stage
+                config.planningItemCategoryId = planningItemCategoryId;
+                config.vendorCache = vendorCache;
+                saveRunConfig(configFile, config);
 
-                    return mapped;
-                }).filter(row => row.hierarchy && row.itemFields.itemid);
+                // Map, structure, and classify rows
+                const mappedRows = buildRows(config, parsedData);
 
                 log.audit('Rows Mapped', mappedRows.length + ' valid rows with hierarchy and itemid');
 
-                // Determine which rows are assemblies based on hierarchy
-                const hierarchySet = new Set(mappedRows.map(r => r.hierarchy));
-                
-                // Track inventory item index for MRP rotation
-                let inventoryIndex = 0;
-
-                mappedRows.forEach(row => {
-                    // Check if any other hierarchy starts with this one + "."
-                    const isAssembly = Array.from(hierarchySet).some(h => 
-                        h !== row.hierarchy && h.startsWith(row.hierarchy + '.')
-                    );
-                    row.isAssembly = isAssembly;
-                    row.recordType = isAssembly ? 'assemblyitem' : 'inventoryitem';
-
-                    // Assign MRP rotation index for inventory items
-                    if (!isAssembly) {
-                        row.mrpRotationIndex = inventoryIndex++;
-                    }
-
-                    // Determine parent hierarchy
-                    const parts = row.hierarchy.split('.');
-                    if (parts.length > 1) {
-                        parts.pop();
-                        row.parentHierarchy = parts.join('.');
-                    } else {
-                        row.parentHierarchy = null;
-                    }
-                });
-
                 // Log type breakdown
                 const inventoryCount = mappedRows.filter(r => !r.isAssembly).length;
                 const assemblyCount = mappedRows.filter(r => r.isAssembly).length;
                 log.audit('Type Breakdown', 'Inventory: ' + inventoryCount + ', Assembly: ' + assemblyCount);
 
-                // Store all rows in cache for summarize stage
-                const importCache = cache.getCache({
-                    name: 'BOM_IMPORT_CACHE',
-                    scope: cache.Scope.PRIVATE
-                });
+                // Stage all rows for the summarize stage (scoped to this run)
+                const stageKey = stagingLib.getStageKey(runId, configFileId);
+                try {
+                    const stagedFileIds = stagingLib.write(stageKey, configFile.folder, mappedRows);
+                    log.audit('Rows Staged', 'Stage: ' + stageKey + ', ' + mappedRows.length + ' rows in ' + stagedFileIds.length + ' file(s)');
+                } catch (e) {
+                    // Summarize rebuilds the rows from the import file
+                    log.error('Row Staging Failed', 'Stage: ' + stageKey + ', Error: ' + e.toString());
+                }
 
-                importCache.put({
-                    key: 'ALL_ROWS',
-                    value: JSON.stringify(mappedRows),
-                    ttl: 7200
-                });
+                runLib.updateRun(runId, { totalRows: mappedRows.length });
+
+                // Existing items and their locations, resolved once for reduce
+                const existingItems = lookupLib.findItems(mappedRows.map(row => config.prospectName + '_' + row.itemFields.itemid));
+                const existingLocations = lookupLib.findItemLocations(Object.keys(existingItems)
+                    .filter(externalId => itemTypeLib.isInventoried(existingItems[externalId].recordType))
+                    .map(externalId => existingItems[externalId].id));
+
+                log.audit('Existing Items Found', Object.keys(existingItems).length + ' of ' + mappedRows.length + ' rows\' items already exist');
 
-                // Add prospect name, defaults, and other config to each row
+                // Rows carry only their own data - run settings are loaded by reduce (runLib.getRunSettings)
                 mappedRows.forEach(row => {
-                    row.prospectName = config.prospectName;
-                    row.defaults = DEFAULTS;
-                    row.planningItemCategoryId = planningItemCategoryId;
-                    row.vendorCache = vendorCache;
+                    const existingItem = existingItems[config.prospectName + '_' + row.itemFields.itemid] || null;
+
+                    row.existingItem = existingItem;
+                    row.existingLocations = existingItem ? (existingLocations[String(existingItem.id)] || []) : null;
                 });
 
                 log.audit('GET INPUT DATA - Complete', 'Returning ' + mappedRows.length + ' rows');
@@ -250,6 +184,76 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
             }
         }
 
+        /**
+         * Save the run config over its file (same name and folder, so the file ID is kept)
+         */
+        function saveRunConfig(configFile, config) {
+            file.create({
+                name: configFile.name,
+                fileType: file.Type.JSON,
+                contents: JSON.stringify(config, null, 2),
+                folder: configFile.folder
+            }).save();
+        }
+
+        /**
+         * Build the row model from the parsed file - the one place getInputData and the summarize
+         * fallback get their rows, so both see the same rows
+         */
+        function buildRowModel(config, parsedData) {
+            return rowsLib.buildRows(config, parsedData);
+        }
+
+        /**
+         * Build classified rows from the parsed file and log everything the row model changed or left out
+         */
+        function buildRows(config, parsedData) {
+            const result = buildRowModel(config, parsedData);
+
+            logInChunks('Hierarchy Normalized', result.hierarchyChanges.map(change =>
+                'Row ' + change.rowNumber + ': "' + change.from + '" -> "' + change.to + '"'
+            ));
+
+            result.warnings.forEach(warning => {
+                log.audit('Structure Warning', 'Row ' + warning.rowNumber + ': ' + warning.message);
+            });
+
+            logInChunks('Rows Dropped', result.dropped.map(row =>
+                'Row ' + row.rowNumber + ': ' + row.message
+            ));
+
+            const designatorWarnings = [];
+            result.rows.forEach(row => {
+                if (!row.parentHierarchy) return;
+                componentLib.checkDesignators(row.bomFields).forEach(message => {
+                    designatorWarnings.push('Row ' + row.rowNumber + ' (' + row.itemFields.itemid + '): ' + message);
+                });
+            });
+            logInChunks('Reference Designator Warnings', designatorWarnings);
+
+            return result.rows;
+        }
+
+        /**
+         * Audit-log a list of lines, splitting across entries to stay under the log detail limit
+         */
+        function logInChunks(title, lines) {
+            const MAX_DETAIL_LENGTH = 3900;
+            let chunk = '';
+
+            lines.forEach(line => {
+                if (chunk && chunk.length + line.length + 1 > MAX_DETAIL_LENGTH) {
+                    log.audit(title, chunk);
+                    chunk = '';
+                }
+                chunk += (chunk ? '\n' : '') + line;
+            });
+
+            if (chunk) {
+                log.audit(title, chunk);
+            }
+        }
+
         /**
          * Create or get existing Planning Item Category
          */
@@ -287,10 +291,11 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         }
 
         /**
-         * Create vendors from CSV data
+         * Create vendors from CSV data (the rows parsed by getInputData)
          */
-        function createVendorsFromCSV(csvFileId, mappings, defaults) {
+        function createVendorsFromCSV(config, defaults, parsedData) {
             const vendorCache = {};
+            const mappings = config.mappings;
 
             try {
                 let vendorColIndex = null;
@@ -305,18 +310,13 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                     return vendorCache;
                 }
 
-                const csvFile = file.load({ id: csvFileId });
-                const csvContent = csvFile.getContents();
-                const lines = csvContent.split('\n').filter(line => line.trim());
-
                 const vendorNames = new Set();
-                for (let i = 1; i < lines.length; i++) {
-                    const rowData = parseRow(lines[i]);
-                    const vendorName = rowData[vendorColIndex];
-                    if (vendorName && vendorName.trim()) {
-                        vendorNames.add(vendorName.trim());
+                parsedData.rows.forEach(row => {
+                    const vendorName = row.cells[vendorColIndex];
+                    if (vendorName) {
+                        vendorNames.add(vendorName);
                     }
-                }
+                });
 
                 log.audit('Unique Vendors Found', Array.from(vendorNames).join(', '));
 
@@ -359,34 +359,10 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         }
 
         /**
-         * Parse CSV row
+         * Load and parse the import file - CSV or the configured worksheet of a workbook
          */
-        function parseRow(rowText) {
-            const values = [];
-            let current = '';
-            let inQuotes = false;
-
-            for (let i = 0; i < rowText.length; i++) {
-                const char = rowText[i];
-                const nextChar = rowText[i + 1];
-
-                if (char === '"') {
-                    if (inQuotes && nextChar === '"') {
-                        current += '"';
-                        i++;
-                    } else {
-                        inQuotes = !inQuotes;
-                    }
-                } else if ((char === ',' || char === '\t') && !inQuotes) {
-                    values.push(current);
-                    current = '';
-                } else if (char !== '\r') {
-                    current += char;
-                }
-            }
-            values.push(current);
-
-            return values;
+        function loadBOMFile(config) {
+            return fileLib.load(config.csvFileId, { sheetName: config.sheetName });
         }
 
         /**
@@ -397,8 +373,13 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 const rowData = JSON.parse(context.value);
                 const itemId = rowData.itemFields.itemid || ('row_' + rowData.rowNumber);
 
+                // Kits are saved with their members, so they are created in summarize
+                if (rowData.isKit) {
+                    return;
+                }
+
                 // Group by structural role (isAssembly), not by recordType
-                // This keeps the map/reduce flow stable when we add lot/serialized item support
+                // This keeps the map/reduce flow stable across lot/serialized and other item types
                 // '1_comp_' = components (inventory-type items) - must process first
                 // '2_assy_' = assemblies - process second so BOM components exist
                 if (rowData.isAssembly) {
@@ -419,7 +400,10 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         function reduce(context) {
             try {
                 const key = context.key;
-                const records = context.values.map(v => JSON.parse(v));
+
+                // Rows are sent without run settings; they are added back here
+                const settings = runLib.getRunSettings(runtime.getCurrentScript().getParameter({ name: 'custscript_bom_config_file_id' }));
+                const records = context.values.map(v => Object.assign(JSON.parse(v), settings));
 
                 // Determine stage from key prefix
                 // Based on structural role (component vs assembly), not record type
@@ -444,51 +428,93 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 let mrpUpdatesCount = 0;
                 let locationMRPUpdated = 0;
                 let vendorSubsidiaryUpdated = 0;
+                const rowResults = [];
+
+                // Items created in this invocation, so a repeated row finds the item it just created
+                const createdItems = {};
 
                 records.forEach(rowData => {
+                    const rowResult = {
+                        rowNumber: rowData.rowNumber,
+                        rowKey: rowData.rowKey,
+                        itemId: rowData.itemFields.itemid,
+                        recordType: rowData.recordType
+                    };
+
                     try {
+                        // Item Type that does not fit the structure (e.g. a service item with components)
+                        if (rowData.typeError) {
+                            throw new Error(rowData.typeError);
+                        }
+
                         const externalId = rowData.prospectName + '_' + rowData.itemFields.itemid;
 
-                        // Check if item already exists
-                        const existingItemId = findItemByExternalId(externalId);
+                        // Check if item already exists (resolved in getInputData)
+                        const existingItem = createdItems[externalId] || getExistingItem(rowData, externalId);
 
-                        if (existingItemId) {
-                            log.debug('Item Exists', 'Item: ' + rowData.itemFields.itemid + ' (ID: ' + existingItemId + ')');
+                        if (existingItem) {
+                            const existingItemId = existingItem.id;
+                            log.debug('Item Exists', 'Item: ' + rowData.itemFields.itemid + ' (ID: ' + existingItemId + ', Type: ' + existingItem.recordType + ')');
                             skipped++;
+                            rowResult.internalId = existingItemId;
+                            rowResult.action = runLib.ACTION.SKIPPED;
+
+                            // Record type cannot change once created - update the item as the type it is
+                            if (existingItem.recordType !== rowData.recordType) {
+                                rowResult.error = 'Item exists as ' + existingItem.recordType + '; ' + rowData.recordType + ' not applied';
+                                log.audit('Item Type Differs', 'Item: ' + rowData.itemFields.itemid + ', ' + rowResult.error);
+                            }
+                            const existingRowData = Object.assign({}, rowData, { recordType: existingItem.recordType });
 
                             // IDEMPOTENT: Check and create missing locations for existing item
-                            const locsAdded = ensureItemLocations(existingItemId, rowData);
+                            const locsAdded = ensureItemLocations(existingItemId, existingRowData);
                             locationsCreated += locsAdded;
 
                             // IDEMPOTENT: Check and update MRP settings on existing item
-                            const mrpUpdated = ensureMRPSettings(existingItemId, rowData);
+                            const mrpUpdated = ensureMRPSettings(existingItemId, existingRowData);
                             if (mrpUpdated) {
                                 mrpUpdatesCount++;
                             }
 
                             // IDEMPOTENT: Check and update MRP settings on existing item locations
-                            locationMRPUpdated += ensureLocationMRPSettings(existingItemId, rowData);
+                            locationMRPUpdated += ensureLocationMRPSettings(existingItemId, existingRowData);
 
                             // IDEMPOTENT: Check and update vendor subsidiary on existing item
-                            if (ensureVendorSubsidiary(existingItemId, rowData.recordType, rowData)) {
+                            if (ensureVendorSubsidiary(existingItemId, existingItem.recordType, existingRowData)) {
                                 vendorSubsidiaryUpdated++;
                             }
 
                         } else {
                             // Create new item
-                            const itemId = createItem(rowData);
+                            const createResult = createItem(rowData);
+                            const itemId = createResult.itemId;
 
                             if (itemId) {
                                 log.audit('Item Created', rowData.recordType + ': ' + rowData.itemFields.itemid + ' (ID: ' + itemId + ')');
+                                createdItems[externalId] = { id: itemId, recordType: rowData.recordType };
                                 created++;
+                                rowResult.internalId = itemId;
+                                rowResult.action = runLib.ACTION.CREATED;
+
+                                if (createResult.fieldErrors.length > 0) {
+                                    rowResult.error = 'Fields not set: ' + createResult.fieldErrors.join('; ');
+                                    log.error('Item Field Errors', 'Row ' + rowData.rowNumber + ' (' + rowData.itemFields.itemid + '): ' + rowResult.error);
+                                }
                             } else {
                                 failed++;
+                                rowResult.action = runLib.ACTION.FAILED;
+                                rowResult.error = 'Item save returned no internal ID';
                             }
                         }
                     } catch (e) {
                         failed++;
+                        rowResult.action = runLib.ACTION.FAILED;
+                        rowResult.error = e.toString();
                         log.error('Item Failed', 'Row ' + rowData.rowNumber + ' (' + rowData.itemFields.itemid + '): ' + e.toString());
                     }
+
+                    runLib.addRowResult(rowData.runId, rowResult);
+                    rowResults.push(rowResult);
                 });
 
                 // Log summary for this reduce invocation
@@ -496,15 +522,34 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                     log.debug('REDUCE Complete', key + ' - Created: ' + created + ', Skipped: ' + skipped + ', Failed: ' + failed);
                 }
 
+                // Pass counts, row outcomes, and row result usage to summarize for the run totals,
+                // results file, and governance report
+                context.write(key, JSON.stringify({
+                    counts: { itemsCreated: created, itemsSkipped: skipped, itemsFailed: failed },
+                    rows: rowResults,
+                    rowResultUsage: runLib.takeRowResultUsage()
+                }));
+
             } catch (e) {
                 log.error('reduce Error', 'Key: ' + context.key + ', Error: ' + e.toString() + '\n' + e.stack);
             }
         }
 
         /**
-         * Find item by external ID
+         * Existing item for a row: resolved in getInputData (rowData.existingItem), or searched for
+         * rows that were not
+         */
+        function getExistingItem(rowData, externalId) {
+            if (rowData.existingItem !== undefined) {
+                return rowData.existingItem;
+            }
+            return findExistingItem(externalId);
+        }
+
+        /**
+         * Find item by external ID, with its record type: { id, recordType } or null
          */
-        function findItemByExternalId(externalId) {
+        function findExistingItem(externalId) {
             try {
                 const itemSearch = search.create({
                     type: 'item',
@@ -515,7 +560,7 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 const results = itemSearch.run().getRange({ start: 0, end: 1 });
                 
                 if (results.length > 0) {
-                    return results[0].getValue('internalid');
+                    return { id: results[0].getValue('internalid'), recordType: results[0].recordType };
                 }
             } catch (e) {
                 log.debug('Item Search Error', e.toString());
@@ -524,31 +569,20 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         }
 
         /**
-         * Create Item (Inventory or Assembly)
+         * Create Item of the row's record type (inventory, assembly, lot numbered, serialized, ...)
+         * Returns { itemId, fieldErrors } - mapped values that could not be set do not stop the item
          */
         function createItem(rowData) {
             const defaults = rowData.defaults || DEFAULT_CONFIG;
+            const inventoried = itemTypeLib.isInventoried(rowData.recordType);
             
-            const itemRec = record.create({
-                type: rowData.recordType,
-                isDynamic: true
-            });
+            const itemRec = newItemRecord(rowData);
 
             // Set External ID
             const externalId = rowData.prospectName + '_' + rowData.itemFields.itemid;
             itemRec.setValue({ fieldId: 'externalid', value: externalId });
 
-            // Set mapped fields
-            Object.keys(rowData.itemFields).forEach(field => {
-                try {
-                    const value = rowData.itemFields[field];
-                    if (value) {
-                        itemRec.setValue({ fieldId: field, value: value });
-                    }
-                } catch (e) {
-                    log.debug('Field Set Warning', 'Field: ' + field + ', Error: ' + e.toString());
-                }
-            });
+            const fieldErrors = setItemFields(itemRec, rowData);
 
             // Set standard defaults
             itemRec.setValue({ fieldId: 'includechildren', value: true });
@@ -568,8 +602,18 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 log.debug('Weight Warning', e.toString());
             }
 
-            // MRP Setup (if enabled)
-            if (defaults.setupMRP) {
+            // Lot numbered and serialized items: cost by lot / serial number
+            const costingMethod = itemTypeLib.getCostingMethod(rowData.recordType);
+            if (costingMethod) {
+                try {
+                    itemRec.setValue({ fieldId: 'costingmethod', value: costingMethod });
+                } catch (e) {
+                    log.debug('Costing Method Warning', rowData.recordType + ': ' + e.toString());
+                }
+            }
+
+            // MRP Setup (if enabled, stock items only)
+            if (defaults.setupMRP && inventoried) {
                 // Set Planning Item Category
                 if (rowData.planningItemCategoryId) {
                     try {
@@ -598,9 +642,9 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 }
             }
 
-            // Add vendor (inventory items only)
+            // Add vendor (purchased item types only)
             const vendorId = getVendorForItem(rowData, defaults);
-            if (vendorId && rowData.recordType === 'inventoryitem') {
+            if (vendorId && itemTypeLib.hasVendorLine(rowData.recordType)) {
                 try {
                     itemRec.selectNewLine({ sublistId: 'itemvendor' });
                     itemRec.setCurrentSublistValue({
@@ -641,9 +685,52 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
             const itemId = itemRec.save();
 
             // Create item locations
-            createItemLocations(itemId, rowData);
+            if (inventoried) {
+                createItemLocations(itemId, rowData);
+            }
+
+            return { itemId: itemId, fieldErrors: fieldErrors };
+        }
+
+        /**
+         * New item record of the row's record type (non-inventory, service, and other charge
+         * items need their subtype when created)
+         */
+        function newItemRecord(rowData) {
+            const options = {
+                type: rowData.recordType,
+                isDynamic: true
+            };
+            if (rowData.itemSubtype) {
+                options.defaultValues = { subtype: rowData.itemSubtype };
+            }
+
+            return record.create(options);
+        }
+
+        /**
+         * Set mapped item fields, converted by field type
+         * Returns the values that could not be set, as "fieldId: reason"
+         */
+        function setItemFields(itemRec, rowData) {
+            const fieldTypes = rowData.fieldTypes || {};
+            const fieldErrors = [];
+
+            Object.keys(rowData.itemFields).forEach(field => {
+                // Set on the vendor line
+                if (field === 'vendorpartnumber') return;
+
+                const value = rowData.itemFields[field];
+                if (!value) return;
+
+                try {
+                    fieldLib.setFieldValue(itemRec, field, value, fieldTypes[field]);
+                } catch (e) {
+                    fieldErrors.push(e.message);
+                }
+            });
 
-            return itemId;
+            return fieldErrors;
         }
 
         /**
@@ -755,8 +842,13 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
             const locationIds = defaults.locationIds || [];
             let locationsAdded = 0;
 
+            // Item locations only apply to stock items
+            if (!itemTypeLib.isInventoried(rowData.recordType)) {
+                return 0;
+            }
+
             // Get existing locations for this item
-            const existingLocations = getExistingItemLocations(itemId);
+            const existingLocations = getLocationConfigs(itemId, rowData).map(locConfig => parseInt(locConfig.locationId));
             
             locationIds.forEach(locationId => {
                 if (existingLocations.includes(parseInt(locationId))) {
@@ -806,6 +898,11 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                     log.audit('Location Added to Existing Item', 'Item: ' + itemId + ', Location: ' + locationId + ', Config ID: ' + configId);
                     locationsAdded++;
 
+                    // So ensureLocationMRPSettings sets MRP values on the new location too
+                    if (rowData.existingLocations) {
+                        rowData.existingLocations.push({ configId: configId, locationId: String(locationId) });
+                    }
+
                 } catch (e) {
                     log.error('Add Location Error', 'Item: ' + itemId + ', Location: ' + locationId + ', Error: ' + e.toString());
                 }
@@ -821,8 +918,8 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         function ensureMRPSettings(itemId, rowData) {
             const defaults = rowData.defaults || DEFAULT_CONFIG;
 
-            // Skip if MRP setup is disabled
-            if (!defaults.setupMRP) {
+            // Skip if MRP setup is disabled or the item carries no stock
+            if (!defaults.setupMRP || !itemTypeLib.isInventoried(rowData.recordType)) {
                 return false;
             }
 
@@ -895,8 +992,8 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         function ensureLocationMRPSettings(itemId, rowData) {
             const defaults = rowData.defaults || DEFAULT_CONFIG;
 
-            // Skip if MRP setup is disabled
-            if (!defaults.setupMRP) {
+            // Skip if MRP setup is disabled or the item carries no stock
+            if (!defaults.setupMRP || !itemTypeLib.isInventoried(rowData.recordType)) {
                 return 0;
             }
 
@@ -905,23 +1002,7 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
             let locationsUpdated = 0;
 
             try {
-                const locConfigSearch = search.create({
-                    type: 'itemlocationconfiguration',
-                    filters: [['item', 'anyof', itemId]],
-                    columns: ['internalid', 'location', 'supplytype', 'supplylotsizingmethod', 'leadtime']
-                });
-
-                const results = [];
-                locConfigSearch.run().each(function(result) {
-                    results.push({
-                        configId: result.getValue('internalid'),
-                        locationId: result.getValue('location'),
-                        currentSupplyType: result.getValue('supplytype'),
-                        currentLotSizing: result.getValue('supplylotsizingmethod'),
-                        currentLeadTime: result.getValue('leadtime')
-                    });
-                    return true;
-                });
+                const results = getLocationConfigs(itemId, rowData);
 
                 results.forEach((locConfig, locIndex) => {
                     try {
@@ -1007,6 +1088,11 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 return false;
             }
 
+            // Item types without a vendor sublist
+            if (!itemTypeLib.isInventoried(recordType) && !itemTypeLib.hasVendorLine(recordType)) {
+                return false;
+            }
+
             try {
                 const itemRec = record.load({
                     type: recordType,
@@ -1065,43 +1151,37 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
         }
 
         /**
-         * Get list of existing location IDs for an item by searching itemlocationconfiguration records
+         * Location configurations of an existing item: resolved in getInputData (rowData.existingLocations),
+         * or searched for rows that were not
+         * Returns [{ configId, locationId, currentSupplyType, currentLotSizing, currentLeadTime }]
          */
-        function getExistingItemLocations(itemId) {
-            const locations = [];
-            
-            try {
-                // Search itemlocationconfiguration records for this item
-                const locConfigSearch = search.create({
-                    type: 'itemlocationconfiguration',
-                    filters: [['item', 'anyof', itemId]],
-                    columns: ['location']
-                });
-
-                locConfigSearch.run().each(function(result) {
-                    const locId = result.getValue('location');
-                    if (locId) {
-                        locations.push(parseInt(locId));
-                    }
-                    return true;
-                });
-
-                log.debug('Existing Locations Found', 'Item: ' + itemId + ', Locations: ' + JSON.stringify(locations));
-
-            } catch (e) {
-                log.debug('Get Existing Locations Error', e.toString());
+        function getLocationConfigs(itemId, rowData) {
+            if (!rowData.existingLocations) {
+                try {
+                    rowData.existingLocations = lookupLib.findItemLocations([itemId])[String(itemId)];
+                } catch (e) {
+                    log.debug('Get Existing Locations Error', e.toString());
+                    return [];
+                }
             }
 
-            return locations;
+            log.debug('Existing Locations Found', 'Item: ' + itemId + ', Locations: ' +
+                JSON.stringify(rowData.existingLocations.map(locConfig => locConfig.locationId)));
+
+            return rowData.existingLocations;
         }
 
         /**
-         * SUMMARIZE - Create BOMs, BOM Revisions, and link to assemblies
+         * SUMMARIZE - Create kits, total the item results, and start the BOM stage
          */
         function summarize(context) {
+            let runId = null;
+            let lockHeld = false;
+            const startingUsage = runtime.getCurrentScript().getRemainingUsage();
+
             try {
                 log.audit('========================================', '');
-                log.audit('SUMMARIZE - Creating BOMs', '');
+                log.audit('SUMMARIZE - Kits and BOM Stage', '');
                 log.audit('========================================', '');
 
                 const scriptObj = runtime.getCurrentScript();
@@ -1109,451 +1189,249 @@ define(['N/record', 'N/search', 'N/file', 'N/runtime', 'N/cache', 'N/format'],
                 const configFile = file.load({ id: configFileId });
                 const config = JSON.parse(configFile.getContents());
                 const prospectName = config.prospectName;
-                const defaults = config.defaults || DEFAULT_CONFIG;
+                const defaults = runLib.applyDefaults(config);
+                runId = config.runId || null;
 
                 log.audit('Config Reloaded', 'Prospect: ' + prospectName);
 
-                // Get rows from cache or re-parse
-                let allRows;
+                // A run that did not get the prospect lock leaves the other run's records alone
+                if (runId) {
+                    lockHeld = runLib.holdsLock(runId, prospectName);
+                    if (!lockHeld) {
+                        log.error('Import Lock Not Held', 'Run ID: ' + runId + ' - no kits or BOMs created');
+                        runLib.logStageErrors(context);
+                        runLib.updateRun(runId, { status: runLib.RUN_STATUS.FAILED, endTime: new Date() });
+                        return;
+                    }
+                }
+
+                // Get this run's staged rows, or rebuild them from the import file
+                const stageKey = stagingLib.getStageKey(runId, configFileId);
+                let allRows = null;
                 try {
-                    const importCache = cache.getCache({
-                        name: 'BOM_IMPORT_CACHE',
-                        scope: cache.Scope.PRIVATE
-                    });
-                    const rowsStr = importCache.get({ key: 'ALL_ROWS' });
-                    allRows = JSON.parse(rowsStr);
-                    log.audit('Rows from Cache', allRows.length + ' rows');
+                    allRows = stagingLib.read(stageKey, configFile.folder);
                 } catch (e) {
-                    log.audit('Cache Miss', 'Re-parsing CSV file');
-                    allRows = reParseCSVForSummarize(config);
+                    log.error('Staged Rows Read Failed', 'Stage: ' + stageKey + ', Error: ' + e.toString());
                 }
 
-                // Find all assemblies
-                const assemblies = allRows.filter(row => row.isAssembly);
-                
-                log.audit('Assemblies to Process', assemblies.length);
-
-                let bomsCreated = 0;
-                let bomsFailed = 0;
-                let revisionsCreated = 0;
-                let revisionsFailed = 0;
-                let linksCreated = 0;
-
-                assemblies.forEach(assembly => {
-                    try {
-                        const assemblyItemId = assembly.itemFields.itemid;
-                        const assemblyHierarchy = assembly.hierarchy;
-
-                        // Get assembly internal ID
-                        const assemblyExternalId = prospectName + '_' + assemblyItemId;
-                        const assemblyInternalId = findItemByExternalId(assemblyExternalId);
-
-                        if (!assemblyInternalId) {
-                            log.error('Assembly Not Found', 'Assembly ' + assemblyItemId + ' not found');
-                            bomsFailed++;
-                            return;
-                        }
-
-                        // Find direct children
-                        const directChildren = allRows.filter(row => row.parentHierarchy === assemblyHierarchy);
-
-                        if (directChildren.length === 0) {
-                            log.audit('No Children', 'Assembly ' + assemblyItemId + ' has no direct children');
-                            return;
-                        }
-
-                        // Build component list
-                        const components = [];
-                        directChildren.forEach(child => {
-                            // Debug: Log component data to troubleshoot quantity issues
-                            log.debug('Component Data', 'Item: ' + child.itemFields.itemid +
-                                ', bomFields: ' + JSON.stringify(child.bomFields) +
-                                ', quantity: ' + child.bomFields.quantity);
-
-                            const childExternalId = prospectName + '_' + child.itemFields.itemid;
-                            const childInternalId = findItemByExternalId(childExternalId);
-
-                            if (childInternalId) {
-                                components.push({
-                                    itemId: child.itemFields.itemid,
-                                    internalId: childInternalId,
-                                    quantity: child.bomFields.quantity || 1
-                                });
-                            } else {
-                                log.error('Component Not Found', 'Component ' + child.itemFields.itemid + ' not found');
-                            }
-                        });
-
-                        if (components.length === 0) {
-                            log.error('No Valid Components', 'Assembly ' + assemblyItemId + ' has no valid components');
-                            bomsFailed++;
-                            return;
-                        }
-
-                        log.audit('Creating BOM', 'Assembly: ' + assemblyItemId + ' with ' + components.length + ' components');
-
-                        // Create or get BOM
-                        const bomResult = createOrGetBOM(assemblyItemId, assemblyInternalId, prospectName, defaults);
-
-                        if (bomResult.bomId) {
-                            if (bomResult.created) {
-                                bomsCreated++;
-                            }
-
-                            // Create or get BOM Revision
-                            const revisionResult = createOrGetBOMRevision(bomResult.bomId, assemblyItemId, components, prospectName);
-                            
-                            if (revisionResult.created) {
-                                revisionsCreated++;
-                            } else if (revisionResult.exists) {
-                                // Revision already exists
-                            } else {
-                                revisionsFailed++;
-                            }
+                if (allRows) {
+                    log.audit('Rows from Stage', 'Stage: ' + stageKey + ', ' + allRows.length + ' rows');
+                } else {
+                    log.audit('Stage Missing', 'Stage: ' + stageKey + ' - rebuilding rows from the import file');
+                    allRows = rebuildRowsForSummarize(config);
+                }
 
-                            // IDEMPOTENT: Link BOM to assembly item if not already linked
-                            const linked = ensureBOMLinkedToAssembly(assemblyInternalId, bomResult.bomId, assemblyItemId);
-                            if (linked) {
-                                linksCreated++;
-                            }
+                // Every item reduce created or found, by external ID - one batched lookup instead of
+                // a search per assembly and component
+                const itemIndex = lookupLib.findItems(allRows.map(row => prospectName + '_' + row.itemFields.itemid));
+                log.audit('Items Resolved', Object.keys(itemIndex).length + ' items by external ID');
+
+                // Kits are saved with their members, so they are created here once every member exists
+                // Rows with members go first; a kit repeated without members is then skipped as existing
+                const kitResults = allRows
+                    .filter(row => row.isKit)
+                    .sort((a, b) => (a.isReference ? 1 : 0) - (b.isReference ? 1 : 0))
+                    .map(kit => createOrGetKit(kit, allRows, config, defaults, itemIndex));
+
+                // Total item counts and collect row outcomes written by reduce
+                const itemCounts = { itemsCreated: 0, itemsSkipped: 0, itemsFailed: 0 };
+                const rowOutcomes = {};
+                // Row results written here for the kits, plus those reported by reduce
+                const rowResultUsage = runLib.takeRowResultUsage();
+                context.output.iterator().each(function(key, value) {
+                    const output = JSON.parse(value);
+                    Object.keys(itemCounts).forEach(name => {
+                        itemCounts[name] += output.counts[name] || 0;
+                    });
+                    if (output.rowResultUsage) {
+                        rowResultUsage.records += output.rowResultUsage.records;
+                        rowResultUsage.units += output.rowResultUsage.units;
+                    }
+                    output.rows.forEach(rowResult => {
+                        rowOutcomes[rowResult.rowKey] = rowResult;
+                    });
+                    return true;
+                });
+                kitResults.forEach(rowResult => {
+                    const countName = { created: 'itemsCreated', skipped: 'itemsSkipped', failed: 'itemsFailed' }[rowResult.action];
+                    itemCounts[countName]++;
+                    rowOutcomes[rowResult.rowKey] = rowResult;
+                });
 
-                        } else {
-                            bomsFailed++;
-                        }
+                const governance = 'Item stage - ' + runLib.buildGovernanceReport(context, startingUsage - scriptObj.getRemainingUsage(), rowResultUsage);
 
-                    } catch (e) {
-                        bomsFailed++;
-                        log.error('BOM Process Failed', 'Assembly: ' + assembly.itemFields.itemid + ', Error: ' + e.toString());
-                    }
+                runLib.updateRun(runId, {
+                    totalRows: allRows.length,
+                    itemsCreated: itemCounts.itemsCreated,
+                    itemsSkipped: itemCounts.itemsSkipped,
+                    itemsFailed: itemCounts.itemsFailed,
+                    governance: governance
                 });
 
                 // Log summary
                 log.audit('========================================', '');
-                log.audit('IMPORT SUMMARY', '');
+                log.audit('ITEM STAGE SUMMARY', '');
                 log.audit('========================================', '');
                 log.audit('Prospect', prospectName);
-                log.audit('BOMs Created', bomsCreated);
-                log.audit('BOMs Failed', bomsFailed);
-                log.audit('Revisions Created', revisionsCreated);
-                log.audit('Revisions Failed', revisionsFailed);
-                log.audit('BOM Links Created', linksCreated);
+                log.audit('Items Created', itemCounts.itemsCreated);
+                log.audit('Items Skipped', itemCounts.itemsSkipped);
+                log.audit('Items Failed', itemCounts.itemsFailed);
+                log.audit('Governance', governance);
+
+                runLib.logStageErrors(context);
+
+                if (context.inputSummary.error) {
+                    // No rows to build BOMs from - finish the run here
+                    const resultsFileIds = resultsLib.writeResultsFile(config, configFile.folder, allRows, rowOutcomes, {});
+                    runLib.updateRun(runId, {
+                        status: runLib.RUN_STATUS.FAILED,
+                        endTime: new Date(),
+                        resultsFileId: resultsFileIds[0] || null,
+                        resultsFileIds: resultsFileIds.join(',')
+                    });
+                    stagingLib.remove(stageKey, configFile.folder);
+                    log.error('BOM Stage Not Started', 'getInputData failed for Run ID: ' + runId);
+                    return;
+                }
 
-                logStageErrors(context);
+                // Every item exists now - BOMs are created by the BOM stage, one assembly per reduce
+                const bomTaskId = startBOMStage(config, configFileId, configFile.folder, rowOutcomes);
 
-                log.audit('========================================', '');
-                log.audit('IMPORT COMPLETE', '');
-                log.audit('========================================', '');
+                if (bomTaskId) {
+                    // The BOM stage finishes the run and releases the lock
+                    lockHeld = false;
+                    runLib.updateRun(runId, { bomTaskId: bomTaskId });
+                    log.audit('BOM Stage Started', 'Task ID: ' + bomTaskId);
+                } else {
+                    // Rows and item outcomes stay staged, so the BOM stage can be started again from
+                    // the status page; the results file has the item outcomes until then
+                    const resultsFileIds = resultsLib.writeResultsFile(config, configFile.folder, allRows, rowOutcomes, {});
+                    runLib.updateRun(runId, {
+                        status: runLib.RUN_STATUS.BOM_PENDING,
+                        resultsFileId: resultsFileIds[0] || null,
+                        resultsFileIds: resultsFileIds.join(',')
+                    });
+                    log.audit('Results File', resultsFileIds.join(', '));
+                    log.error('BOM Stage Not Started', 'Run ID: ' + runId + ' - start the BOM stage from the status page');
+                }
 
             } catch (e) {
                 log.error('summarize Error', e.toString() + '\n' + e.stack);
-            }
-        }
-
-        /**
-         * Create or get existing BOM
-         */
-        function createOrGetBOM(assemblyItemId, assemblyInternalId, prospectName, defaults) {
-            try {
-                const bomName = assemblyItemId + '_BOM';
-                const externalId = prospectName + '_' + bomName;
-
-                // Check if BOM already exists
-                const existingBom = findBOMByExternalId(externalId);
-                if (existingBom) {
-                    log.debug('BOM Exists', 'BOM: ' + bomName + ' (ID: ' + existingBom + ')');
-                    return { bomId: existingBom, created: false };
+                runLib.updateRun(runId, { status: runLib.RUN_STATUS.FAILED, endTime: new Date() });
+            } finally {
+                if (lockHeld) {
+                    runLib.releaseLock(runId);
                 }
-
-                const bomRec = record.create({
-                    type: 'bom',
-                    isDynamic: true
-                });
-
-                bomRec.setValue({ fieldId: 'name', value: bomName });
-                bomRec.setValue({ fieldId: 'subsidiary', value: defaults.subsidiaryId || DEFAULT_CONFIG.subsidiaryId });
-                bomRec.setValue({ fieldId: 'includechildren', value: true });
-                bomRec.setValue({ fieldId: 'externalid', value: externalId });
-
-                const bomId = bomRec.save();
-
-                log.audit('BOM Created', 'BOM: ' + bomName + ' (ID: ' + bomId + ')');
-
-                return { bomId: bomId, created: true };
-
-            } catch (e) {
-                log.error('BOM Creation Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
-                return { bomId: null, created: false };
             }
         }
 
         /**
-         * Find BOM by external ID
+         * Create a kit item with its members (the kit row's direct children), or skip it if it exists
+         * itemIndex: items by external ID from lookupLib.findItems - a created kit is added to it
+         * Writes the row result and returns it
          */
-        function findBOMByExternalId(externalId) {
+        function createOrGetKit(kit, allRows, config, defaults, itemIndex) {
+            const kitItemId = kit.itemFields.itemid;
+            const rowResult = {
+                rowNumber: kit.rowNumber,
+                rowKey: kit.rowKey,
+                itemId: kitItemId,
+                recordType: kit.recordType
+            };
+
             try {
-                const bomSearch = search.create({
-                    type: 'bom',
-                    filters: [['externalid', 'is', externalId]],
-                    columns: ['internalid']
-                });
+                const externalId = config.prospectName + '_' + kitItemId;
+                const existingItem = itemIndex[externalId] || null;
 
-                const results = bomSearch.run().getRange({ start: 0, end: 1 });
-                
-                if (results.length > 0) {
-                    return results[0].getValue('internalid');
-                }
-            } catch (e) {
-                log.debug('BOM Search Error', e.toString());
-            }
-            return null;
-        }
+                if (existingItem) {
+                    log.debug('Kit Exists', 'Kit: ' + kitItemId + ' (ID: ' + existingItem.id + ')');
+                    rowResult.internalId = existingItem.id;
+                    rowResult.action = runLib.ACTION.SKIPPED;
+                } else {
+                    if (kit.isReference) {
+                        throw new Error('Kit is listed here without members and was not created from the row that lists them');
+                    }
 
-        /**
-         * Create or get existing BOM Revision with components
-         */
-        function createOrGetBOMRevision(bomId, assemblyItemId, components, prospectName) {
-            try {
-                const revisionName = assemblyItemId + '_REV_A';
-                const externalId = prospectName + '_' + revisionName;
-
-                // Check if revision already exists
-                const existingRevision = findBOMRevisionByExternalId(externalId);
-                if (existingRevision) {
-                    log.debug('BOM Revision Exists', 'Revision: ' + revisionName + ' (ID: ' + existingRevision + ')');
-                    return { revisionId: existingRevision, created: false, exists: true };
-                }
+                    const members = [];
+                    const missing = [];
+                    allRows.filter(row => row.parentHierarchy === kit.hierarchy).forEach(child => {
+                        const member = itemIndex[config.prospectName + '_' + child.itemFields.itemid];
+                        if (member) {
+                            members.push({ internalId: member.id, quantity: child.bomFields.quantity || 1 });
+                        } else {
+                            missing.push(child.itemFields.itemid);
+                        }
+                    });
 
-                const yesterday = new Date();
-                yesterday.setDate(yesterday.getDate() - 1);
+                    if (missing.length > 0) {
+                        throw new Error('Kit member item(s) not found: ' + missing.join(', '));
+                    }
 
-                const bomRevRec = record.create({
-                    type: 'bomrevision',
-                    isDynamic: true
-                });
+                    const rowData = Object.assign({}, kit, {
+                        prospectName: config.prospectName,
+                        defaults: defaults,
+                        fieldTypes: config.fieldTypes || {}
+                    });
 
-                bomRevRec.setValue({ fieldId: 'name', value: revisionName });
-                bomRevRec.setValue({ fieldId: 'billofmaterials', value: bomId });
-                bomRevRec.setValue({ fieldId: 'effectivestartdate', value: yesterday });
-                bomRevRec.setValue({ fieldId: 'memo', value: 'Initial revision - ' + prospectName });
-                bomRevRec.setValue({ fieldId: 'externalid', value: externalId });
+                    const kitRec = newItemRecord(rowData);
+                    kitRec.setValue({ fieldId: 'externalid', value: externalId });
+
+                    const fieldErrors = setItemFields(kitRec, rowData);
 
-                // Add components
-                let componentsAdded = 0;
-                components.forEach(component => {
                     try {
-                        bomRevRec.selectNewLine({ sublistId: 'component' });
-                        bomRevRec.setCurrentSublistValue({
-                            sublistId: 'component',
-                            fieldId: 'item',
-                            value: component.internalId
-                        });
-                        bomRevRec.setCurrentSublistValue({
-                            sublistId: 'component',
-                            fieldId: 'bomquantity',
-                            value: component.quantity
-                        });
-                        bomRevRec.commitLine({ sublistId: 'component' });
-                        componentsAdded++;
+                        kitRec.setValue({ fieldId: 'taxschedule', value: defaults.taxScheduleId });
                     } catch (e) {
-                        log.error('Component Add Failed', 'Component: ' + component.itemId + ', Error: ' + e.toString());
+                        log.debug('Kit Tax Schedule Warning', e.toString());
                     }
-                });
-
-                const revisionId = bomRevRec.save();
 
-                log.audit('BOM Revision Created', 'Revision: ' + revisionName + ' (ID: ' + revisionId + ') with ' + componentsAdded + ' components');
-
-                return { revisionId: revisionId, created: true, exists: false };
-
-            } catch (e) {
-                log.error('BOM Revision Failed', 'Assembly: ' + assemblyItemId + ', Error: ' + e.toString());
-                return { revisionId: null, created: false, exists: false };
-            }
-        }
+                    members.forEach(member => {
+                        kitRec.selectNewLine({ sublistId: 'member' });
+                        kitRec.setCurrentSublistValue({ sublistId: 'member', fieldId: 'item', value: member.internalId });
+                        kitRec.setCurrentSublistValue({ sublistId: 'member', fieldId: 'quantity', value: member.quantity });
+                        kitRec.commitLine({ sublistId: 'member' });
+                    });
 
-        /**
-         * Find BOM Revision by external ID
-         */
-        function findBOMRevisionByExternalId(externalId) {
-            try {
-                const revSearch = search.create({
-                    type: 'bomrevision',
-                    filters: [['externalid', 'is', externalId]],
-                    columns: ['internalid']
-                });
+                    rowResult.internalId = kitRec.save();
+                    rowResult.action = runLib.ACTION.CREATED;
+                    itemIndex[externalId] = { id: rowResult.internalId, recordType: kit.recordType };
+                    if (fieldErrors.length > 0) {
+                        rowResult.error = 'Fields not set: ' + fieldErrors.join('; ');
+                    }
 
-                const results = revSearch.run().getRange({ start: 0, end: 1 });
-                
-                if (results.length > 0) {
-                    return results[0].getValue('internalid');
+                    log.audit('Kit Created', kitItemId + ' (ID: ' + rowResult.internalId + ') with ' + members.length + ' members');
                 }
             } catch (e) {
-                log.debug('BOM Revision Search Error', e.toString());
+                rowResult.action = runLib.ACTION.FAILED;
+                rowResult.error = e.toString();
+                log.error('Kit Failed', 'Row ' + kit.rowNumber + ' (' + kitItemId + '): ' + e.toString());
             }
-            return null;
+
+            runLib.addRowResult(config.runId, rowResult);
+            return rowResult;
         }
 
         /**
-         * IDEMPOTENT: Ensure BOM is linked to assembly item via billofmaterials sublist
-         * Also ensures masterdefault is set on the BOM link
-         * Returns true if link was created or updated, false if already complete
+         * Stage the item outcomes and submit the BOM stage Map/Reduce for this run's config file
+         * Returns the task ID, or null if the BOM stage cannot be submitted
          */
-        function ensureBOMLinkedToAssembly(assemblyInternalId, bomId, assemblyItemId) {
+        function startBOMStage(config, configFileId, folderId, rowOutcomes) {
             try {
-                // Load assembly to check if BOM is already linked
-                const assemblyRec = record.load({
-                    type: 'assemblyitem',
-                    id: assemblyInternalId,
-                    isDynamic: true
-                });
+                const outcomesKey = stagingLib.getStageKey(config.runId || null, configFileId, 'outcomes');
+                stagingLib.write(outcomesKey, folderId, Object.keys(rowOutcomes).map(rowKey => rowOutcomes[rowKey]));
 
-                // Check existing BOM links on the billofmaterials sublist
-                const lineCount = assemblyRec.getLineCount({ sublistId: 'billofmaterials' });
-                
-                for (let i = 0; i < lineCount; i++) {
-                    const linkedBomId = assemblyRec.getSublistValue({
-                        sublistId: 'billofmaterials',
-                        fieldId: 'billofmaterials',
-                        line: i
-                    });
-                    
-                    if (linkedBomId == bomId) {
-                        // BOM is already linked - check if masterdefault is set
-                        const isMasterDefault = assemblyRec.getSublistValue({
-                            sublistId: 'billofmaterials',
-                            fieldId: 'masterdefault',
-                            line: i
-                        });
-                        
-                        if (isMasterDefault) {
-                            log.debug('BOM Already Linked with Master Default', 'Assembly: ' + assemblyItemId + ', BOM ID: ' + bomId);
-                            return false;
-                        }
-                        
-                        // Update existing line to set masterdefault
-                        assemblyRec.selectLine({ sublistId: 'billofmaterials', line: i });
-                        assemblyRec.setCurrentSublistValue({
-                            sublistId: 'billofmaterials',
-                            fieldId: 'masterdefault',
-                            value: true
-                        });
-                        assemblyRec.commitLine({ sublistId: 'billofmaterials' });
-                        assemblyRec.save();
-                        
-                        log.audit('BOM Master Default Set', 'Assembly: ' + assemblyItemId + ' (ID: ' + assemblyInternalId + '), BOM ID: ' + bomId);
-                        return true;
-                    }
-                }
-
-                // BOM not linked yet - add it
-                assemblyRec.selectNewLine({ sublistId: 'billofmaterials' });
-                assemblyRec.setCurrentSublistValue({
-                    sublistId: 'billofmaterials',
-                    fieldId: 'billofmaterials',
-                    value: bomId
-                });
-                // Set as Master Default
-                assemblyRec.setCurrentSublistValue({
-                    sublistId: 'billofmaterials',
-                    fieldId: 'masterdefault',
-                    value: true
-                });
-                assemblyRec.commitLine({ sublistId: 'billofmaterials' });
-
-                assemblyRec.save();
-
-                log.audit('BOM Linked to Assembly', 'Assembly: ' + assemblyItemId + ' (ID: ' + assemblyInternalId + '), BOM ID: ' + bomId + ', Master Default: true');
-                return true;
+                return runLib.submitBOMStage(configFileId, runLib.getBOMStageDeployment(runtime.getCurrentScript()));
 
             } catch (e) {
-                log.error('BOM Link Failed', 'Assembly: ' + assemblyItemId + ', BOM ID: ' + bomId + ', Error: ' + e.toString());
-                return false;
-            }
-        }
-
-        /**
-         * Re-parse CSV for summarize stage if cache missed
-         */
-        function reParseCSVForSummarize(config) {
-            const csvFile = file.load({ id: config.csvFileId });
-            const csvContent = csvFile.getContents();
-            const lines = csvContent.split('\n').filter(line => line.trim());
-
-            const allRows = [];
-            for (let i = 1; i < lines.length; i++) {
-                const rowData = parseRow(lines[i]);
-                if (rowData.some(cell => cell.trim())) {
-                    allRows.push({
-                        rowNumber: i + 1,
-                        cells: rowData
-                    });
-                }
+                log.error('BOM Stage Submit Failed', e.toString());
+                return null;
             }
-
-            const mappedRows = allRows.map(row => {
-                const mapped = {
-                    rowNumber: row.rowNumber,
-                    hierarchy: null,
-                    itemFields: {},
-                    bomFields: {}
-                };
-
-                Object.keys(config.mappings).forEach(colIndex => {
-                    const fieldName = config.mappings[colIndex];
-                    const value = row.cells[parseInt(colIndex)] || '';
-
-                    if (!value.trim()) return;
-
-                    if (fieldName === 'hierarchy') {
-                        mapped.hierarchy = value.trim();
-                    } else if (fieldName === 'quantity') {
-                        mapped.bomFields.quantity = parseFloat(value) || 1;
-                    } else if (fieldName === 'itemid') {
-                        mapped.itemFields.itemid = value.trim();
-                    }
-                });
-
-                return mapped;
-            }).filter(row => row.hierarchy && row.itemFields.itemid);
-
-            // Determine assembly status
-            const hierarchySet = new Set(mappedRows.map(r => r.hierarchy));
-            
-            mappedRows.forEach(row => {
-                const isAssembly = Array.from(hierarchySet).some(h => 
-                    h !== row.hierarchy && h.startsWith(row.hierarchy + '.')
-                );
-                row.isAssembly = isAssembly;
-
-                const parts = row.hierarchy.split('.');
-                if (parts.length > 1) {
-                    parts.pop();
-                    row.parentHierarchy = parts.join('.');
-                } else {
-                    row.parentHierarchy = null;
-                }
-            });
-
-            return mappedRows;
         }
 
         /**
-         * Log Map/Reduce stage errors
+         * Rebuild the row model for summarize when the stage is missing
          */
-        function logStageErrors(context) {
-            if (context.inputSummary.error) {
-                log.error('INPUT Error', context.inputSummary.error);
-            }
-
-            context.mapSummary.errors.iterator().each(function(key, error) {
-                log.error('MAP Error', 'Key: ' + key + ', Error: ' + error);
-                return true;
-            });
-
-            context.reduceSummary.errors.iterator().each(function(key, error) {
-                log.error('REDUCE Error', 'Key: ' + key + ', Error: ' + error);
-                return true;
-            });
+        function rebuildRowsForSummarize(config) {
+            return buildRowModel(config, loadBOMFile(config)).rows;
         }
 
         return {
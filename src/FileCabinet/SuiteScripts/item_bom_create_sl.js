@@ -7,43 +7,133 @@
 /**
  * BOM Import Suitelet
  * 
- * Purpose: Provide UI for uploading CSV files, mapping columns, and triggering BOM import
+ * Purpose: Provide UI for uploading CSV or Excel (.xlsx) files, mapping columns, and triggering BOM import
  * 
  * Flow:
- * 1. User uploads CSV file and enters prospect name
+ * 1. User uploads CSV or Excel file and enters prospect name
  * 2. Suitelet shows preview (headers + first 10 rows) with column mapping dropdowns
+ *    (for workbooks, the user can switch worksheets here)
+ *    Mappings and Item Defaults come from the chosen template, or a template saved from the
+ *    same headers, and can be saved as a template for the next upload
  * 3. User maps columns and clicks Import
- * 4. Suitelet saves config and triggers Map/Reduce script
+ *    (with Validate Only checked, the Suitelet shows a dry-run report instead - no records created)
+ * 4. Suitelet creates the BOM Import Run record, saves config, and triggers Map/Reduce script
+ *    (not while another run for the same prospect or deployment is queued or running -
+ *    the user is shown that run's task ID and progress link instead)
  * 5. User sees confirmation with link to monitor progress
+ * 6. Status page (GET with checkTask) shows task stage and live counts until the run finishes,
+ *    and offers a Start BOM Stage button (POST) for a run whose item stage could not start it
  */
 
-define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/url', 'N/log'],
-    function(serverWidget, file, task, runtime, redirect, url, log) {
+define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/url', 'N/format', 'N/log', './item_bom_run_lib', './item_bom_file_lib', './item_bom_validate_lib', './item_bom_template_lib', './item_bom_field_lib', './item_bom_header_lib'],
+    function(serverWidget, file, task, runtime, redirect, url, format, log, runLib, fileLib, validateLib, templateLib, fieldLib, headerLib) {
 
-        // Field mapping options - what columns can be mapped to
+        // Import field options - structure, BOM, and vendor columns the import handles itself
+        // Item body fields (standard and custom) are added at runtime - see getFieldOptions
         const FIELD_OPTIONS = [
             { value: '', text: '-- Skip --' },
-            { value: 'hierarchy', text: 'Hierarchy (Required)' },
+            { value: 'hierarchy', text: 'Hierarchy (Required unless Level or Parent Item is mapped)' },
+            { value: 'level', text: 'Level (indented: 0, 1, 2, 2, 1...)' },
+            { value: 'parent', text: 'Parent Item (parent/child format)' },
             { value: 'itemid', text: 'Item ID / Part Number (Required)' },
             { value: 'displayname', text: 'Display Name / Description (sets all 3)' },
-            { value: 'mpn', text: 'Manufacturer Part Number' },
-            { value: 'manufacturer', text: 'Manufacturer' },
+            { value: 'itemtype', text: 'Item Type (inventory, assembly, lot, serial, noninv, service, othercharge, kit)' },
             { value: 'vendor', text: 'Vendor Name (for Create Vendors option)' },
             { value: 'vendorpartnumber', text: 'Vendor Part Number' },
-            { value: 'quantity', text: 'BOM Quantity' },
-            { value: 'revision', text: 'Item Revision' },
-            { value: 'custitem_pkg_info', text: 'Package Info (Custom)' },
-            { value: 'custitem_part_requirement', text: 'Part Requirement (Custom)' },
-            { value: 'memo', text: 'Comments / Memo' }
+            { value: 'quantity', text: 'BOM Quantity (default: designator count, else 1)' },
+            { value: 'revision', text: 'BOM Revision (assembly rows: A, B, 02...)' },
+            { value: 'memo', text: 'Comments / Memo (BOM line)' },
+            { value: 'refdes', text: 'Reference Designators (BOM line: R1, R2, R5-R8)' },
+            { value: 'componentyield', text: 'Component Yield % (BOM line)' },
+            { value: 'itemsource', text: 'Item Source (BOM line: stock, phantom, work order, purchase order)' },
+            { value: 'units', text: 'Units (BOM line)' }
         ];
 
+        // Item Defaults shown on the mapping form when no template supplies them
+        const FORM_DEFAULTS = {
+            setupMRP: true,
+            createVendors: false,
+            vendorSubsidiaryId: 2,
+            vendorId: 625,
+            purchasePrice: 1,
+            taxScheduleId: 1,
+            locationIds: [2, 13],
+            duplicateComponents: runLib.DEFAULT_CONFIG.duplicateComponents,
+            revisionUpdateMode: 'skip',
+            revisionStartDate: '',
+            revisionEndDate: '',
+            tracking: {
+                topLevel: '',
+                subassembly: '',
+                component: ''
+            },
+            itemLocationDefaults: {
+                preferredstocklevel: 1000,
+                reorderpoint: 600,
+                safetystocklevel: 100,
+                leadtime: 7
+            }
+        };
+
+        // Tracking rule options (item type for rows without an Item Type)
+        const TRACKING_OPTIONS = [
+            { value: '', text: 'None' },
+            { value: 'lot', text: 'Lot Numbered' },
+            { value: 'serial', text: 'Serialized' }
+        ];
+
+        // Duplicate Components policy options
+        const DUPLICATE_POLICY_OPTIONS = [
+            { value: 'merge', text: 'Merge into one line (sum quantities, join designators)' },
+            { value: 'separate', text: 'Keep as separate lines' },
+            { value: 'fail', text: 'Fail the BOM' }
+        ];
+
+        // Existing BOM Revisions options
+        const REVISION_UPDATE_OPTIONS = [
+            { value: 'skip', text: 'Leave unchanged' },
+            { value: 'newRevision', text: 'Create a new revision with the changes' },
+            { value: 'inPlace', text: 'Update the revision in place' }
+        ];
+
+        // Tracking rule fields: defaults key, form field, label
+        const TRACKING_FIELDS = [
+            { key: 'topLevel', id: 'custpage_tracking_top', label: 'Top-Level Assembly Tracking' },
+            { key: 'subassembly', id: 'custpage_tracking_sub', label: 'Subassembly Tracking' },
+            { key: 'component', id: 'custpage_tracking_comp', label: 'Component Tracking' }
+        ];
+
+        // Delimiter labels for the mapping form
+        const DELIMITER_LABELS = {
+            ',': 'Comma',
+            ';': 'Semicolon',
+            '\t': 'Tab',
+            '|': 'Pipe'
+        };
+
+        // Map/Reduce stage labels for the status page
+        const STAGE_LABELS = {
+            GET_INPUT: 'getInputData',
+            MAP: 'map',
+            SHUFFLE: 'shuffle',
+            REDUCE: 'reduce',
+            SUMMARIZE: 'summarize'
+        };
+
+        // Seconds between status page refreshes while the task is running
+        const STATUS_REFRESH_SECONDS = 10;
+
         /**
          * Main entry point
          */
         function onRequest(context) {
             try {
                 if (context.request.method === 'GET') {
-                    showUploadForm(context);
+                    if (context.request.parameters.checkTask) {
+                        showTaskStatus(context);
+                    } else {
+                        showUploadForm(context);
+                    }
                 } else {
                     handlePost(context);
                 }
@@ -68,8 +158,10 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                     <ol>
                         <li>Enter a <strong>Prospect Name</strong> - this will be used as a prefix for all External IDs 
                             (e.g., "AcmeCorp" → "AcmeCorp_PartNumber123")</li>
-                        <li>Upload your <strong>CSV file</strong> containing the BOM data</li>
-                        <li>Your CSV should have a <strong>Hierarchy column</strong> with values like 1.0, 1.1, 1.1.1 to define structure</li>
+                        <li>Upload your <strong>CSV or Excel (.xlsx) file</strong> containing the BOM data</li>
+                        <li>Your file should have a <strong>Hierarchy column</strong> with values like 1.0, 1.1, 1.1.1 to define structure,
+                            an indented <strong>Level column</strong> (0, 1, 2, 2, 1...) with rows in BOM order,
+                            or a <strong>Parent Part column</strong> naming each row's parent</li>
                         <li>Click Next to preview and map columns</li>
                     </ol>
                 </div>
@@ -97,10 +189,24 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             const fileField = form.addField({
                 id: 'custpage_csv_file',
                 type: serverWidget.FieldType.FILE,
-                label: 'CSV File'
+                label: 'BOM File (CSV or .xlsx)'
             });
             fileField.isMandatory = true;
 
+            // Mapping Template
+            const templateField = form.addField({
+                id: 'custpage_template',
+                type: serverWidget.FieldType.SELECT,
+                label: 'Mapping Template'
+            });
+            templateField.addSelectOption({ value: '', text: '-- Match by column headers --' });
+            templateLib.listTemplates().forEach(template => {
+                templateField.addSelectOption({ value: template.id, text: template.name });
+            });
+            templateField.setHelpText({
+                help: 'Saved column mappings and Item Defaults to pre-fill the next step. Leave blank to use a template saved from the same column headers, if there is one.'
+            });
+
             // Hidden field to track step
             const stepField = form.addField({
                 id: 'custpage_step',
@@ -123,8 +229,12 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
 
             if (step === 'upload') {
                 handleFileUpload(context);
+            } else if (step === 'sheet') {
+                handleSheetChange(context);
             } else if (step === 'mapping') {
                 handleMappingSubmit(context);
+            } else if (step === 'startBomStage') {
+                handleStartBOMStage(context);
             }
         }
 
@@ -133,6 +243,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
          */
         function handleFileUpload(context) {
             const prospectName = context.request.parameters.custpage_prospect_name;
+            const templateId = context.request.parameters.custpage_template || '';
             const uploadedFile = context.request.files.custpage_csv_file;
 
             if (!uploadedFile) {
@@ -154,35 +265,60 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             log.audit('File Uploaded', 'File ID: ' + fileId + ', Name: ' + uploadedFile.name);
 
             // Load and parse file
-            const fileObj = file.load({ id: fileId });
-            const content = fileObj.getContents();
-            const parsedData = parseCSV(content);
+            const parsedData = fileLib.load(fileId);
 
             if (parsedData.rows.length === 0) {
                 throw new Error('No data rows found in file');
             }
 
             // Show mapping form
-            showMappingForm(context, prospectName, fileId, uploadedFile.name, parsedData);
+            showMappingForm(context, prospectName, fileId, uploadedFile.name, parsedData, templateId);
+        }
+
+        /**
+         * Step 2 (workbooks): Re-show mapping form for the worksheet the user picked
+         */
+        function handleSheetChange(context) {
+            const params = context.request.parameters;
+            const sheetName = params.custpage_sheet_name;
+
+            const parsedData = fileLib.load(params.custpage_file_id, { sheetName: sheetName });
+
+            if (parsedData.rows.length === 0) {
+                throw new Error('No data rows found in worksheet "' + sheetName + '"');
+            }
+
+            showMappingForm(context, params.custpage_prospect_name, params.custpage_file_id, params.custpage_file_name, parsedData, params.custpage_template_id);
         }
 
         /**
          * Show column mapping form with preview
+         * templateId is the template chosen on the upload step (blank to match by headers)
          */
-        function showMappingForm(context, prospectName, fileId, fileName, parsedData) {
+        function showMappingForm(context, prospectName, fileId, fileName, parsedData, templateId) {
             const form = serverWidget.createForm({
                 title: 'BOM Import - Step 2: Map Columns'
             });
 
+            const template = templateId
+                ? templateLib.getTemplate(templateId)
+                : templateLib.findTemplateForHeaders(parsedData.headers);
+            const templateMappings = template ? templateLib.applyTemplate(template, parsedData.headers) : {};
+            const formDefaults = getFormDefaults(template);
+
             // Info section
             const infoHtml = `
                 <div style="margin-bottom: 20px; padding: 15px; background-color: #e8f4e8; border-radius: 5px; border-left: 4px solid #28a745;">
                     <strong>Prospect:</strong> ${escapeHtml(prospectName)}<br>
                     <strong>File:</strong> ${escapeHtml(fileName)}<br>
-                    <strong>Rows Found:</strong> ${parsedData.rows.length} data rows
+                    <strong>Rows Found:</strong> ${parsedData.rows.length} data rows<br>
+                    ${parsedData.sheetName ? '<strong>Worksheet:</strong> ' + escapeHtml(parsedData.sheetName) : '<strong>Delimiter:</strong> ' + escapeHtml(DELIMITER_LABELS[parsedData.delimiter] || parsedData.delimiter)}
                 </div>
+                ${template ? '<div style="margin-bottom: 15px; padding: 10px; background-color: #e7f3ff; border-radius: 5px; border-left: 4px solid #0d6efd;"><strong>Mapping Template:</strong> ' + escapeHtml(template.name) + (templateId ? '' : ' (matched by column headers)') + ' - review the mappings and defaults below</div>' : ''}
+                ${buildParseErrorsHtml(parsedData.errors)}
                 <div style="margin-bottom: 15px; padding: 10px; background-color: #fff3cd; border-radius: 5px; border-left: 4px solid #ffc107;">
-                    <strong>Required Mappings:</strong> You must map at least <strong>Hierarchy</strong> and <strong>Item ID / Part Number</strong>
+                    <strong>Required Mappings:</strong> You must map <strong>Item ID / Part Number</strong> and one of <strong>Hierarchy</strong>, <strong>Level (indented)</strong>, or <strong>Parent Item</strong><br>
+                    Columns marked <strong>(auto: high / medium / low)</strong> were matched from their headers - check the medium and low ones
                 </div>
             `;
 
@@ -228,6 +364,54 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             }).defaultValue = parsedData.headers.length;
             form.getField({ id: 'custpage_column_count' }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
 
+            form.addField({
+                id: 'custpage_headers',
+                type: serverWidget.FieldType.LONGTEXT,
+                label: 'Headers'
+            }).defaultValue = JSON.stringify(parsedData.headers);
+            form.getField({ id: 'custpage_headers' }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
+
+            form.addField({
+                id: 'custpage_template_id',
+                type: serverWidget.FieldType.TEXT,
+                label: 'Template ID'
+            }).defaultValue = templateId || '';
+            form.getField({ id: 'custpage_template_id' }).updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
+
+            // Worksheet picker (workbooks only)
+            if (parsedData.sheetNames) {
+                const sheetField = form.addField({
+                    id: 'custpage_sheet_name',
+                    type: serverWidget.FieldType.SELECT,
+                    label: 'Worksheet'
+                });
+                parsedData.sheetNames.forEach(name => {
+                    sheetField.addSelectOption({
+                        value: name,
+                        text: name,
+                        isSelected: name === parsedData.sheetName
+                    });
+                });
+                sheetField.setHelpText({ help: 'Worksheet to import. After choosing a different worksheet, click Load Worksheet to refresh the columns and preview.' });
+
+                if (parsedData.sheetNames.length > 1) {
+                    form.addButton({
+                        id: 'custpage_load_sheet',
+                        label: 'Load Worksheet',
+                        functionName: "(function() { var f = document.forms['main_form']; f.elements['custpage_step'].value = 'sheet'; f.submit(); })()"
+                    });
+                }
+            }
+
+            // Dry run option
+            const validateOnlyCheckbox = form.addField({
+                id: 'custpage_validate_only',
+                type: serverWidget.FieldType.CHECKBOX,
+                label: 'Validate Only (no records created)'
+            });
+            validateOnlyCheckbox.defaultValue = 'F';
+            validateOnlyCheckbox.setHelpText({ help: 'When checked: Runs every import check and shows a report of duplicate or missing hierarchy values, conflicting items, bad quantities, invalid item IDs, dropped rows, and vendors that would be created. Nothing is created and no import is started.' });
+
             // Defaults Section
             form.addFieldGroup({
                 id: 'custpage_defaults_group',
@@ -241,7 +425,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Setup MRP',
                 container: 'custpage_defaults_group'
             });
-            mrpCheckbox.defaultValue = 'T';
+            mrpCheckbox.defaultValue = formDefaults.setupMRP ? 'T' : 'F';
             mrpCheckbox.setHelpText({ help: 'When checked: Assembly items use Master Production Scheduling, Inventory items use Material Requirements Planning. Creates Planning Item Category using Prospect Name. Configures varied lead times and lot sizing for demo.' });
 
             // Create Vendors Checkbox
@@ -251,7 +435,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Create Vendors from CSV',
                 container: 'custpage_defaults_group'
             });
-            createVendorsCheckbox.defaultValue = 'F';
+            createVendorsCheckbox.defaultValue = formDefaults.createVendors ? 'T' : 'F';
             createVendorsCheckbox.setHelpText({ help: 'When checked: Creates vendor records from the Vendor column in CSV and links them to items. When unchecked: Uses the Default Vendor ID below.' });
 
             // Vendor Subsidiary ID (for newly created vendors)
@@ -261,7 +445,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Vendor Subsidiary ID',
                 container: 'custpage_defaults_group'
             });
-            vendorSubsidiaryField.defaultValue = 2;
+            vendorSubsidiaryField.defaultValue = formDefaults.vendorSubsidiaryId;
             vendorSubsidiaryField.setHelpText({ help: 'Subsidiary to assign to newly created vendors (default: 2 = United States)' });
 
             // Default Vendor (used when Create Vendors is unchecked)
@@ -271,7 +455,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Default Vendor ID',
                 container: 'custpage_defaults_group'
             });
-            vendorField.defaultValue = 625;
+            vendorField.defaultValue = formDefaults.vendorId;
             vendorField.setHelpText({ help: 'Internal ID of vendor to add to inventory items when "Create Vendors from CSV" is unchecked (0 = none)' });
 
             // Purchase Price
@@ -281,7 +465,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Default Purchase Price',
                 container: 'custpage_defaults_group'
             });
-            purchasePriceField.defaultValue = 1;
+            purchasePriceField.defaultValue = formDefaults.purchasePrice;
 
             // Tax Schedule
             const taxScheduleField = form.addField({
@@ -290,7 +474,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Tax Schedule ID',
                 container: 'custpage_defaults_group'
             });
-            taxScheduleField.defaultValue = 1;
+            taxScheduleField.defaultValue = formDefaults.taxScheduleId;
             taxScheduleField.setHelpText({ help: 'Internal ID of the tax schedule to apply to items' });
 
             // Locations
@@ -300,9 +484,73 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Location IDs (comma-separated)',
                 container: 'custpage_defaults_group'
             });
-            locationsField.defaultValue = '2,13';
+            locationsField.defaultValue = formDefaults.locationIds.join(',');
             locationsField.setHelpText({ help: 'Internal IDs of locations to configure for each item' });
 
+            // Same item more than once under one assembly
+            const duplicatePolicyField = form.addField({
+                id: 'custpage_duplicate_components',
+                type: serverWidget.FieldType.SELECT,
+                label: 'Duplicate Components',
+                container: 'custpage_defaults_group'
+            });
+            DUPLICATE_POLICY_OPTIONS.forEach(opt => {
+                duplicatePolicyField.addSelectOption({ value: opt.value, text: opt.text });
+            });
+            duplicatePolicyField.defaultValue = formDefaults.duplicateComponents;
+            duplicatePolicyField.setHelpText({ help: 'What to do when the same item appears more than once under one assembly (e.g. at different positions): merge the lines, keep them separate, or fail the BOM. Validate Only reports these as errors when set to Fail.' });
+
+            // BOM change import
+            const revisionUpdateField = form.addField({
+                id: 'custpage_revision_update',
+                type: serverWidget.FieldType.SELECT,
+                label: 'Existing BOM Revisions',
+                container: 'custpage_defaults_group'
+            });
+            REVISION_UPDATE_OPTIONS.forEach(opt => {
+                revisionUpdateField.addSelectOption({ value: opt.value, text: opt.text });
+            });
+            revisionUpdateField.defaultValue = formDefaults.revisionUpdateMode;
+            revisionUpdateField.setHelpText({ help: 'When an assembly\'s BOM revision already exists: leave it, or compare it with the file (added, removed, and quantity- or line-field-changed components) and create the next revision (A -> B, ending the current one) or update that revision in place. Changes are listed in the results.' });
+
+            // BOM revision effective dates (stored as yyyy-mm-dd)
+            const revisionStartField = form.addField({
+                id: 'custpage_revision_start',
+                type: serverWidget.FieldType.DATE,
+                label: 'Revision Effective Start',
+                container: 'custpage_defaults_group'
+            });
+            if (formDefaults.revisionStartDate) {
+                revisionStartField.defaultValue = formatFormDate(formDefaults.revisionStartDate);
+            }
+            revisionStartField.setHelpText({ help: 'Start date for new BOM revisions. Blank: yesterday for a first revision, today for a revision that replaces one in effect (which is end-dated).' });
+
+            const revisionEndField = form.addField({
+                id: 'custpage_revision_end',
+                type: serverWidget.FieldType.DATE,
+                label: 'Revision Effective End',
+                container: 'custpage_defaults_group'
+            });
+            if (formDefaults.revisionEndDate) {
+                revisionEndField.defaultValue = formatFormDate(formDefaults.revisionEndDate);
+            }
+            revisionEndField.setHelpText({ help: 'End date for new BOM revisions (blank = open-ended)' });
+
+            // Lot / serial tracking rule (rows with an Item Type keep it)
+            TRACKING_FIELDS.forEach(trackingField => {
+                const trackingSelect = form.addField({
+                    id: trackingField.id,
+                    type: serverWidget.FieldType.SELECT,
+                    label: trackingField.label,
+                    container: 'custpage_defaults_group'
+                });
+                TRACKING_OPTIONS.forEach(opt => {
+                    trackingSelect.addSelectOption({ value: opt.value, text: opt.text });
+                });
+                trackingSelect.defaultValue = formDefaults.tracking[trackingField.key] || '';
+                trackingSelect.setHelpText({ help: 'Creates these items as lot numbered or serialized inventory/assembly items. Applies to rows without an Item Type column value.' });
+            });
+
             // Item Location Defaults Group (shown when MRP is unchecked)
             form.addFieldGroup({
                 id: 'custpage_loc_defaults_group',
@@ -315,7 +563,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Preferred Stock Level',
                 container: 'custpage_loc_defaults_group'
             });
-            prefStockField.defaultValue = 1000;
+            prefStockField.defaultValue = formDefaults.itemLocationDefaults.preferredstocklevel;
 
             const reorderPointField = form.addField({
                 id: 'custpage_reorder_point',
@@ -323,7 +571,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Reorder Point',
                 container: 'custpage_loc_defaults_group'
             });
-            reorderPointField.defaultValue = 600;
+            reorderPointField.defaultValue = formDefaults.itemLocationDefaults.reorderpoint;
 
             const safetyStockField = form.addField({
                 id: 'custpage_safety_stock',
@@ -331,7 +579,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Safety Stock Level',
                 container: 'custpage_loc_defaults_group'
             });
-            safetyStockField.defaultValue = 100;
+            safetyStockField.defaultValue = formDefaults.itemLocationDefaults.safetystocklevel;
 
             const leadTimeField = form.addField({
                 id: 'custpage_lead_time',
@@ -339,7 +587,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 label: 'Lead Time (days)',
                 container: 'custpage_loc_defaults_group'
             });
-            leadTimeField.defaultValue = 7;
+            leadTimeField.defaultValue = formDefaults.itemLocationDefaults.leadtime;
 
             // Column Mapping Section
             form.addFieldGroup({
@@ -348,28 +596,61 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             });
 
             // Create mapping dropdown for each column
+            const fieldOptions = getFieldOptions();
+            const optionValues = new Set(fieldOptions.map(opt => opt.value));
+
+            // Template mappings first; the remaining columns are matched by header to the remaining fields
+            const templateFields = new Set(Object.keys(templateMappings).map(index => templateMappings[index]));
+            const suggestions = headerLib.detectMappings(
+                parsedData.headers.map((header, index) => templateMappings[index] !== undefined ? '' : header),
+                fieldOptions
+                    .filter(opt => opt.value && !templateFields.has(opt.value))
+                    .map(opt => ({ id: opt.value, label: opt.label || opt.text }))
+            );
+
             parsedData.headers.forEach((header, index) => {
+                const templateMap = templateMappings[index];
+                const suggestion = suggestions[index];
+
+                let label = header || ('Column ' + (index + 1));
+                if (templateMap !== undefined) {
+                    label += ' (template)';
+                } else if (suggestion) {
+                    label += ' (auto: ' + suggestion.confidence + ')';
+                }
+
                 const selectField = form.addField({
                     id: 'custpage_map_col_' + index,
                     type: serverWidget.FieldType.SELECT,
-                    label: header || ('Column ' + (index + 1)),
+                    label: label,
                     container: 'custpage_mapping_group'
                 });
 
                 // Add options
-                FIELD_OPTIONS.forEach(opt => {
+                fieldOptions.forEach(opt => {
                     selectField.addSelectOption({
                         value: opt.value,
                         text: opt.text
                     });
                 });
 
-                // Auto-select based on header name
-                const autoMap = autoDetectMapping(header);
-                if (autoMap) {
+                const autoMap = templateMap !== undefined ? templateMap : (suggestion && suggestion.field);
+                if (autoMap && optionValues.has(autoMap)) {
                     selectField.defaultValue = autoMap;
                 }
+                if (suggestion && templateMap === undefined) {
+                    selectField.setHelpText({ help: 'Matched from the column header with ' + suggestion.confidence + ' confidence (score ' + suggestion.score + ' of 100). Check the mapping before importing.' });
+                }
+            });
+
+            // Save as Template
+            const saveTemplateField = form.addField({
+                id: 'custpage_save_template',
+                type: serverWidget.FieldType.TEXT,
+                label: 'Save Mappings as Template',
+                container: 'custpage_mapping_group'
             });
+            saveTemplateField.setHelpText({ help: 'Name to save these column mappings and Item Defaults under when the import runs (not on Validate Only). An existing template with the same name is replaced. Leave blank to not save.' });
 
             // Preview Section
             form.addFieldGroup({
@@ -393,7 +674,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 const bgColor = rowIndex % 2 === 0 ? '#ffffff' : '#f8f9fa';
                 previewHtml += '<tr style="background-color: ' + bgColor + ';">';
                 parsedData.headers.forEach((_, colIndex) => {
-                    const cellValue = row[colIndex] || '';
+                    const cellValue = row.cells[colIndex] || '';
                     previewHtml += '<td style="padding: 6px; border: 1px solid #ddd;">' + escapeHtml(cellValue) + '</td>';
                 });
                 previewHtml += '</tr>';
@@ -423,57 +704,150 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
         }
 
         /**
-         * Auto-detect field mapping based on header name
+         * Mapping dropdown options: import fields, then the account's item body fields by type
          */
-        function autoDetectMapping(header) {
-            if (!header) return null;
-            
-            const h = header.toLowerCase().trim();
+        function getFieldOptions() {
+            const importValues = new Set(FIELD_OPTIONS.map(opt => opt.value));
+
+            const itemFieldOptions = fieldLib.getItemFields()
+                .filter(field => !importValues.has(field.id))
+                .map(field => ({
+                    value: field.id,
+                    text: field.label + ' (' + field.id + ', ' + field.type + ')',
+                    label: field.label
+                }));
+
+            return FIELD_OPTIONS.concat(itemFieldOptions);
+        }
 
-            if (h.includes('hierarchy') || h.includes('bom structure') || h.includes('level')) {
-                return 'hierarchy';
-            }
-            if (h.includes('part number') || h.includes('part #') || h.includes('itemid') || h === 'part' || h === 'item') {
-                return 'itemid';
-            }
-            if (h.includes('description') || h.includes('name')) {
-                return 'displayname';
-            }
-            if (h.includes('qty') || h.includes('quantity') || h.includes('count')) {
-                return 'quantity';
-            }
-            if (h.includes('mpn') || h.includes('mfg part') || h.includes('manu') || h.includes('manufacturer part')) {
-                return 'mpn';
+        /**
+         * Step 3: Process mapping and trigger import (or show the dry-run report)
+         */
+        function handleMappingSubmit(context) {
+            const params = context.request.parameters;
+            const prospectName = params.custpage_prospect_name;
+            const fileId = params.custpage_file_id;
+            const fileName = params.custpage_file_name;
+            const sheetName = params.custpage_sheet_name || null;
+
+            const mappings = collectMappings(params);
+            const defaults = collectDefaults(params);
+
+            // Types of the mapped item fields, so values are converted before they are set
+            const fieldTypes = fieldLib.getFieldTypes(Object.keys(mappings).map(colIndex => mappings[colIndex]));
+
+            if (params.custpage_validate_only === 'T') {
+                showValidationReport(context, {
+                    prospectName: prospectName,
+                    csvFileId: fileId,
+                    csvFileName: fileName,
+                    sheetName: sheetName,
+                    mappings: mappings,
+                    fieldTypes: fieldTypes,
+                    defaults: defaults
+                });
+                return;
             }
-            if (h.includes('vendor') && h.includes('number')) {
-                return 'vendorpartnumber';
+
+            log.audit('Mappings Collected', JSON.stringify(mappings));
+            log.audit('Defaults Collected', JSON.stringify(defaults));
+
+            const scriptObj = runtime.getCurrentScript();
+            const mrScriptId = scriptObj.getParameter({ name: 'custscript_bom_mr_script_id' });
+            const mrDeploymentId = scriptObj.getParameter({ name: 'custscript_bom_mr_deployment_id' });
+
+            if (!mrScriptId || !mrDeploymentId) {
+                throw new Error('Map/Reduce script ID and deployment ID must be configured in script parameters');
             }
-            if (h.includes('vendor')) {
-                return 'vendor';
+
+            // One import per prospect (and per deployment) at a time - runs left behind by an ended
+            // task are cleaned up first so they do not block this one
+            runLib.expireStaleRuns(prospectName, mrDeploymentId);
+            const activeRun = runLib.findActiveRun(prospectName, mrDeploymentId);
+            if (activeRun) {
+                log.audit('Import Blocked', 'Prospect: ' + prospectName + ', active Run ID: ' + activeRun.id + ', Task ID: ' + activeRun.taskId);
+                showActiveRun(context, prospectName, activeRun);
+                return;
             }
-            if (h.includes('revision') || h === 'rev') {
-                return 'revision';
+
+            // Create run record so the Map/Reduce can record its results against it
+            const runId = runLib.createRun({
+                prospectName: prospectName,
+                csvFileId: fileId,
+                deploymentId: mrDeploymentId
+            });
+
+            // Save config JSON file alongside CSV
+            const configData = {
+                runId: runId,
+                prospectName: prospectName,
+                csvFileId: fileId,
+                csvFileName: fileName,
+                sheetName: sheetName,
+                mappings: mappings,
+                fieldTypes: fieldTypes,
+                defaults: defaults,
+                createdDate: new Date().toISOString()
+            };
+
+            const folderId = scriptObj.getParameter({ name: 'custscript_bom_suitelet_folder_id' });
+
+            const configFileName = fileLib.baseName(fileName) + '_config.json';
+            const configFile = file.create({
+                name: configFileName,
+                fileType: file.Type.JSON,
+                contents: JSON.stringify(configData, null, 2),
+                folder: folderId
+            });
+            const configFileId = configFile.save();
+
+            log.audit('Config Saved', 'Config File ID: ' + configFileId);
+
+            // Trigger Map/Reduce script
+            const mrTask = task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: mrScriptId,
+                deploymentId: mrDeploymentId,
+                params: {
+                    'custscript_bom_config_file_id': configFileId
+                }
+            });
+
+            let taskId;
+            try {
+                taskId = mrTask.submit();
+            } catch (e) {
+                runLib.updateRun(runId, { configFileId: configFileId, status: runLib.RUN_STATUS.FAILED });
+                throw e;
             }
-            if (h.includes('comment') || h.includes('memo') || h.includes('note')) {
-                return 'memo';
+
+            runLib.updateRun(runId, { configFileId: configFileId, taskId: taskId });
+
+            log.audit('Map/Reduce Triggered', 'Task ID: ' + taskId + ', Run ID: ' + runId);
+
+            // Save the template only once the run is accepted (a blocked or failed start leaves it alone)
+            const templateName = (params.custpage_save_template || '').trim();
+            if (templateName) {
+                try {
+                    templateLib.saveTemplate(templateName, JSON.parse(params.custpage_headers || '[]'), mappings, defaults);
+                } catch (e) {
+                    log.error('Template Save Failed', 'Name: ' + templateName + ', Error: ' + e.toString());
+                }
             }
 
-            return null;
+            // Show confirmation page
+            showConfirmation(context, prospectName, fileName, taskId, configFileId);
         }
 
         /**
-         * Step 3: Process mapping and trigger import
+         * Collect column mappings from the mapping form and check the required ones
          */
-        function handleMappingSubmit(context) {
-            const params = context.request.parameters;
-            const prospectName = params.custpage_prospect_name;
-            const fileId = params.custpage_file_id;
-            const fileName = params.custpage_file_name;
+        function collectMappings(params) {
             const columnCount = parseInt(params.custpage_column_count);
-
-            // Collect mappings
             const mappings = {};
             let hasHierarchy = false;
+            let hasLevel = false;
+            let hasParent = false;
             let hasItemId = false;
 
             for (let i = 0; i < columnCount; i++) {
@@ -481,26 +855,38 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 if (mapValue) {
                     mappings[i] = mapValue;
                     if (mapValue === 'hierarchy') hasHierarchy = true;
+                    if (mapValue === 'level') hasLevel = true;
+                    if (mapValue === 'parent') hasParent = true;
                     if (mapValue === 'itemid') hasItemId = true;
                 }
             }
 
             // Validate required mappings
-            if (!hasHierarchy) {
-                throw new Error('Hierarchy column must be mapped');
+            const structureCount = [hasHierarchy, hasLevel, hasParent].filter(Boolean).length;
+            if (structureCount === 0) {
+                throw new Error('Hierarchy, Level (indented), or Parent Item column must be mapped');
+            }
+            if (structureCount > 1) {
+                throw new Error('Map only one of Hierarchy, Level (indented), or Parent Item');
             }
             if (!hasItemId) {
                 throw new Error('Item ID / Part Number column must be mapped');
             }
 
-            // Collect defaults
+            return mappings;
+        }
+
+        /**
+         * Collect item defaults from the mapping form
+         */
+        function collectDefaults(params) {
             const locationStr = params.custpage_locations || '2,13';
             const locationIds = locationStr.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id) && id > 0);
 
             const setupMRP = params.custpage_setup_mrp === 'T';
             const createVendors = params.custpage_create_vendors === 'T';
 
-            const defaults = {
+            return {
                 setupMRP: setupMRP,
                 createVendors: createVendors,
                 taxScheduleId: parseInt(params.custpage_tax_schedule) || 1,
@@ -508,6 +894,11 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                 vendorSubsidiaryId: parseInt(params.custpage_vendor_subsidiary) || 2,
                 purchasePrice: parseFloat(params.custpage_purchase_price) || 1,
                 locationIds: locationIds,
+                duplicateComponents: params.custpage_duplicate_components || runLib.DEFAULT_CONFIG.duplicateComponents,
+                revisionUpdateMode: params.custpage_revision_update || 'skip',
+                revisionStartDate: parseFormDate(params.custpage_revision_start),
+                revisionEndDate: parseFormDate(params.custpage_revision_end),
+                tracking: collectTracking(params),
                 itemLocationDefaults: {
                     preferredstocklevel: parseInt(params.custpage_pref_stock) || 1000,
                     reorderpoint: parseInt(params.custpage_reorder_point) || 600,
@@ -515,57 +906,144 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                     leadtime: parseInt(params.custpage_lead_time) || 7
                 }
             };
+        }
 
-            log.audit('Mappings Collected', JSON.stringify(mappings));
-            log.audit('Defaults Collected', JSON.stringify(defaults));
+        /**
+         * Form date (user's date format) to yyyy-mm-dd, or '' if blank
+         */
+        function parseFormDate(text) {
+            if (!text) return '';
 
-            // Save config JSON file alongside CSV
-            const configData = {
-                prospectName: prospectName,
-                csvFileId: fileId,
-                csvFileName: fileName,
-                mappings: mappings,
-                defaults: defaults,
-                createdDate: new Date().toISOString()
-            };
+            const date = format.parse({ value: text, type: format.Type.DATE });
+            const pad = number => (number < 10 ? '0' : '') + number;
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+        }
 
-            const scriptObj = runtime.getCurrentScript();
-            const folderId = scriptObj.getParameter({ name: 'custscript_bom_suitelet_folder_id' });
+        /**
+         * yyyy-mm-dd to a form date in the user's date format
+         */
+        function formatFormDate(isoDate) {
+            const parts = isoDate.split('-').map(part => parseInt(part, 10));
+            return format.format({ value: new Date(parts[0], parts[1] - 1, parts[2]), type: format.Type.DATE });
+        }
 
-            const configFileName = fileName.replace(/\.csv$/i, '') + '_config.json';
-            const configFile = file.create({
-                name: configFileName,
-                fileType: file.Type.JSON,
-                contents: JSON.stringify(configData, null, 2),
-                folder: folderId
+        /**
+         * Collect the lot / serial tracking rule: { topLevel, subassembly, component }
+         */
+        function collectTracking(params) {
+            const tracking = {};
+            TRACKING_FIELDS.forEach(trackingField => {
+                tracking[trackingField.key] = params[trackingField.id] || '';
             });
-            const configFileId = configFile.save();
+            return tracking;
+        }
 
-            log.audit('Config Saved', 'Config File ID: ' + configFileId);
+        /**
+         * Item Defaults for the mapping form - the template's, filled out with FORM_DEFAULTS
+         */
+        function getFormDefaults(template) {
+            const defaults = Object.assign({}, FORM_DEFAULTS, template && template.defaults);
+            defaults.itemLocationDefaults = Object.assign({}, FORM_DEFAULTS.itemLocationDefaults, defaults.itemLocationDefaults);
+            defaults.tracking = Object.assign({}, FORM_DEFAULTS.tracking, defaults.tracking);
+            if (!Array.isArray(defaults.locationIds)) {
+                defaults.locationIds = FORM_DEFAULTS.locationIds;
+            }
+            return defaults;
+        }
 
-            // Trigger Map/Reduce script
-            const mrScriptId = scriptObj.getParameter({ name: 'custscript_bom_mr_script_id' });
-            const mrDeploymentId = scriptObj.getParameter({ name: 'custscript_bom_mr_deployment_id' });
+        /**
+         * Show the Validate Only (dry run) report - nothing is created
+         */
+        function showValidationReport(context, config) {
+            const parsedData = fileLib.load(config.csvFileId, { sheetName: config.sheetName });
+            const report = validateLib.validate(config, parsedData);
+
+            log.audit('Validation Report', JSON.stringify({
+                fileId: config.csvFileId,
+                totalRows: report.totalRows,
+                validRows: report.validRows,
+                errors: report.errorCount,
+                warnings: report.warningCount
+            }));
 
-            if (!mrScriptId || !mrDeploymentId) {
-                throw new Error('Map/Reduce script ID and deployment ID must be configured in script parameters');
+            const form = serverWidget.createForm({
+                title: 'BOM Import - Validation Report'
+            });
+
+            let summaryColor = '#d4edda';
+            let summaryBorder = '#28a745';
+            let summaryText = 'No problems found. Go back, uncheck Validate Only, and run the import.';
+            if (report.errorCount > 0) {
+                summaryColor = '#f8d7da';
+                summaryBorder = '#dc3545';
+                summaryText = report.errorCount + ' problem(s) will drop rows or fail during import. Fix the file or mapping and validate again.';
+            } else if (report.warningCount > 0) {
+                summaryColor = '#fff3cd';
+                summaryBorder = '#ffc107';
+                summaryText = 'No blocking problems, but review the ' + report.warningCount + ' warning(s) below before importing.';
             }
 
-            const mrTask = task.create({
-                taskType: task.TaskType.MAP_REDUCE,
-                scriptId: mrScriptId,
-                deploymentId: mrDeploymentId,
-                params: {
-                    'custscript_bom_config_file_id': configFileId
-                }
+            let reportHtml = `
+                <div style="padding: 20px; background-color: ${summaryColor}; border-radius: 5px; border-left: 4px solid ${summaryBorder}; margin-bottom: 20px;">
+                    <h2 style="margin-top: 0;">Dry Run - No Records Created</h2>
+                    <p><strong>Prospect:</strong> ${escapeHtml(config.prospectName)}</p>
+                    <p><strong>File:</strong> ${escapeHtml(config.csvFileName)}${config.sheetName ? ' (' + escapeHtml(config.sheetName) + ')' : ''}</p>
+                    <p><strong>Rows:</strong> ${report.validRows} of ${report.totalRows} would be imported (${report.assemblyCount} assemblies, ${report.inventoryCount} other items)</p>
+                    <p style="margin-bottom: 0;">${escapeHtml(summaryText)}</p>
+                </div>
+            `;
+
+            report.sections.forEach(section => {
+                reportHtml += buildReportSectionHtml(section);
             });
 
-            const taskId = mrTask.submit();
+            form.addField({
+                id: 'custpage_report',
+                type: serverWidget.FieldType.INLINEHTML,
+                label: 'Report'
+            }).defaultValue = reportHtml;
 
-            log.audit('Map/Reduce Triggered', 'Task ID: ' + taskId);
+            form.addButton({
+                id: 'custpage_back',
+                label: 'Back to Mapping',
+                functionName: 'history.back()'
+            });
 
-            // Show confirmation page
-            showConfirmation(context, prospectName, fileName, taskId, configFileId);
+            context.response.writePage(form);
+        }
+
+        /**
+         * Build one section of the validation report
+         */
+        function buildReportSectionHtml(section) {
+            const MAX_SHOWN = 50;
+            const colors = {
+                error: { background: '#f8d7da', border: '#dc3545' },
+                warning: { background: '#fff3cd', border: '#ffc107' },
+                info: { background: '#e7f3ff', border: '#0d6efd' }
+            };
+
+            if (section.issues.length === 0) {
+                if (section.severity === 'info') return '';
+                return '<div style="margin-bottom: 10px; padding: 8px 10px; background-color: #f8f9fa; border-radius: 5px; border-left: 4px solid #28a745;">' +
+                    '<strong>' + escapeHtml(section.title) + ':</strong> none</div>';
+            }
+
+            const color = colors[section.severity];
+            const shown = section.issues.slice(0, MAX_SHOWN);
+
+            let html = '<div style="margin-bottom: 10px; padding: 10px; background-color: ' + color.background + '; border-radius: 5px; border-left: 4px solid ' + color.border + ';">';
+            html += '<strong>' + escapeHtml(section.title) + ':</strong> ' + section.issues.length + '<ul style="margin-bottom: 0;">';
+            shown.forEach(issue => {
+                html += '<li>' + (issue.rowNumber ? 'Row ' + issue.rowNumber + ': ' : '') + escapeHtml(issue.message) + '</li>';
+            });
+            html += '</ul>';
+            if (section.issues.length > shown.length) {
+                html += '<p style="margin-bottom: 0; font-style: italic;">... and ' + (section.issues.length - shown.length) + ' more</p>';
+            }
+            html += '</div>';
+
+            return html;
         }
 
         /**
@@ -580,7 +1058,7 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             const taskStatusUrl = url.resolveScript({
                 scriptId: runtime.getCurrentScript().id,
                 deploymentId: runtime.getCurrentScript().deploymentId,
-                params: { checkTask: taskId }
+                params: { checkTask: taskId, configFileId: configFileId }
             });
 
             const confirmHtml = `
@@ -596,19 +1074,19 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
                     <ol>
                         <li>The Map/Reduce script will process your file</li>
                         <li>Items will be created first (inventory items, then assembly items)</li>
-                        <li>BOMs and BOM Revisions will be created for assemblies</li>
-                        <li>Check the Execution Log for progress and any errors</li>
+                        <li>A second Map/Reduce (the BOM stage) then creates BOMs and BOM Revisions, one assembly at a time in parallel</li>
+                        <li>Check the status page for progress and the Execution Log for any errors</li>
                     </ol>
                 </div>
 
                 <div style="padding: 15px; background-color: #e7f3ff; border-radius: 5px;">
                     <h3>Monitor Progress</h3>
-                    <p>View the script execution log to monitor progress:</p>
+                    <p><a href="${escapeHtml(taskStatusUrl)}">View import progress</a> - the page refreshes itself until the import finishes</p>
+                    <p>Error details are in the script execution log:</p>
                     <p>
                         <strong>Customization → Scripting → Script Deployments</strong> → 
                         Find BOM Import deployment → View Execution Log
                     </p>
-                    <p>Or search for Task ID: <code>${escapeHtml(taskId)}</code> in the logs</p>
                 </div>
             `;
 
@@ -627,6 +1105,304 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
             context.response.writePage(form);
         }
 
+        /**
+         * Show that another import is queued or running, with its task ID and progress link
+         */
+        function showActiveRun(context, prospectName, activeRun) {
+            const form = serverWidget.createForm({
+                title: 'BOM Import - Already Running'
+            });
+
+            const reason = activeRun.prospectName === prospectName
+                ? 'An import for prospect <strong>' + escapeHtml(prospectName) + '</strong> is already ' + escapeHtml(activeRun.status.toLowerCase()) + '.'
+                : 'The import deployment is busy with an import for prospect <strong>' + escapeHtml(activeRun.prospectName) + '</strong> (' + escapeHtml(activeRun.status.toLowerCase()) + ').';
+
+            let progressLink = '';
+            if (activeRun.taskId) {
+                const progressUrl = url.resolveScript({
+                    scriptId: runtime.getCurrentScript().id,
+                    deploymentId: runtime.getCurrentScript().deploymentId,
+                    params: { checkTask: activeRun.taskId, configFileId: activeRun.configFileId }
+                });
+                progressLink = '<p><a href="' + escapeHtml(progressUrl) + '">View its progress</a></p>';
+            }
+
+            const activeHtml = `
+                <div style="padding: 20px; background-color: #fff3cd; border-radius: 5px; border-left: 4px solid #ffc107;">
+                    <h2 style="margin-top: 0; color: #856404;">Import Not Started</h2>
+                    <p>${reason} Start this import again once it finishes.</p>
+                    <p><strong>Run ID:</strong> ${escapeHtml(String(activeRun.id))}</p>
+                    <p><strong>Task ID:</strong> ${escapeHtml(activeRun.taskId || '(not yet submitted)')}</p>
+                    ${progressLink}
+                </div>
+            `;
+
+            form.addField({
+                id: 'custpage_active_run',
+                type: serverWidget.FieldType.INLINEHTML,
+                label: 'Active Run'
+            }).defaultValue = activeHtml;
+
+            form.addButton({
+                id: 'custpage_back',
+                label: 'Go Back',
+                functionName: 'history.back()'
+            });
+
+            context.response.writePage(form);
+        }
+
+        /**
+         * Show import progress for a Map/Reduce task (GET with checkTask parameter)
+         */
+        function showTaskStatus(context) {
+            const params = context.request.parameters;
+            const taskId = params.checkTask;
+            const configFileId = params.configFileId;
+
+            // Prospect, file, and run record come from the run's config
+            const runConfig = loadRunConfig(configFileId);
+            const prospectName = runConfig.prospectName;
+            const fileName = runConfig.fileName;
+            const runId = runConfig.runId;
+
+            const progress = runLib.getProgress(runId);
+
+            // Once the item stage has started the BOM stage, the run follows the BOM stage task
+            const stageTaskId = (progress && progress.bomTaskId) || taskId;
+            const stagePrefix = progress && progress.bomTaskId ? 'BOM stage - ' : 'Item stage - ';
+
+            const taskStatus = task.checkStatus({ taskId: stageTaskId });
+            const status = String(taskStatus.status);
+            const isFinished = status === String(task.TaskStatus.COMPLETE) || status === String(task.TaskStatus.FAILED);
+            const stage = taskStatus.stage ? (STAGE_LABELS[String(taskStatus.stage)] || String(taskStatus.stage)) : '-';
+
+            let percentComplete = null;
+            try {
+                percentComplete = taskStatus.getPercentageCompleted();
+            } catch (e) {
+                log.debug('Percentage Unavailable', 'Task: ' + stageTaskId + ', Error: ' + e.toString());
+            }
+
+            const form = serverWidget.createForm({
+                title: 'BOM Import - Progress'
+            });
+
+            let statusColor = '#e7f3ff';
+            let statusBorder = '#0d6efd';
+            if (status === String(task.TaskStatus.COMPLETE)) {
+                statusColor = '#d4edda';
+                statusBorder = '#28a745';
+            } else if (status === String(task.TaskStatus.FAILED)) {
+                statusColor = '#f8d7da';
+                statusBorder = '#dc3545';
+            }
+
+            let statusHtml = `
+                <div style="padding: 20px; background-color: ${statusColor}; border-radius: 5px; border-left: 4px solid ${statusBorder}; margin-bottom: 20px;">
+                    <h2 style="margin-top: 0;">Status: ${escapeHtml(status)}</h2>
+                    <p><strong>Prospect:</strong> ${escapeHtml(prospectName)}</p>
+                    <p><strong>File:</strong> ${escapeHtml(fileName)}</p>
+                    <p><strong>Task ID:</strong> ${escapeHtml(taskId)}</p>
+                    ${stageTaskId !== taskId ? '<p><strong>BOM Stage Task ID:</strong> ' + escapeHtml(stageTaskId) + '</p>' : ''}
+                    ${runId ? '<p><strong>Run Record:</strong> <a href="' + escapeHtml(url.resolveRecord({ recordType: 'customrecord_bom_import_run', recordId: runId })) + '">' + escapeHtml(String(runId)) + '</a></p>' : ''}
+                    <p><strong>Current Stage:</strong> ${escapeHtml(isFinished ? '-' : stagePrefix + stage)}</p>
+                    ${percentComplete !== null && !isFinished ? '<p><strong>Stage Progress:</strong> ' + escapeHtml(String(percentComplete)) + '%</p>' : ''}
+                </div>
+            `;
+
+            const newerRun = progress && progress.status === runLib.RUN_STATUS.BOM_PENDING
+                ? runLib.findNewerRun(runId, prospectName)
+                : null;
+
+            if (newerRun) {
+                statusHtml += `
+                    <div style="padding: 15px; background-color: #fff3cd; border-radius: 5px; border-left: 4px solid #ffc107; margin-bottom: 20px;">
+                        <h3 style="margin-top: 0;">BOM Stage Not Started</h3>
+                        <p>${escapeHtml(newerRunMessage(prospectName, newerRun))}</p>
+                    </div>
+                `;
+            } else if (progress && progress.status === runLib.RUN_STATUS.BOM_PENDING) {
+                statusHtml += `
+                    <div style="padding: 15px; background-color: #fff3cd; border-radius: 5px; border-left: 4px solid #ffc107; margin-bottom: 20px;">
+                        <h3 style="margin-top: 0;">BOM Stage Not Started</h3>
+                        <p>The items were imported, but the BOM stage Map/Reduce could not be submitted (see the execution log).
+                        Once its deployment is available, start it with Start BOM Stage - no items are imported again.</p>
+                    </div>
+                `;
+            }
+
+            if (progress) {
+                const processed = progress.itemsCreated + progress.itemsSkipped + progress.itemsFailed;
+                statusHtml += `
+                    <div style="padding: 15px; background-color: #f8f9fa; border-radius: 5px; margin-bottom: 20px;">
+                        <h3 style="margin-top: 0;">Counts${progress.complete ? '' : ' (updating)'}</h3>
+                        <table style="border-collapse: collapse; font-size: 13px;">
+                            <tr><td style="padding: 4px 12px 4px 0;">Rows Processed</td><td><strong>${processed} of ${progress.totalRows}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">Items Created</td><td><strong>${progress.itemsCreated}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">Items Skipped (already exist)</td><td><strong>${progress.itemsSkipped}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">Items Failed</td><td><strong>${progress.itemsFailed}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">BOMs Created</td><td><strong>${progress.bomsCreated}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">BOM Revisions Created</td><td><strong>${progress.revisionsCreated}</strong></td></tr>
+                            <tr><td style="padding: 4px 12px 4px 0;">BOM Revisions Updated</td><td><strong>${progress.revisionsUpdated}</strong></td></tr>
+                        </table>
+                        ${progress.governance ? '<p style="color: #666;"><strong>Governance:</strong> ' + escapeHtml(progress.governance) + '</p>' : ''}
+                        ${buildResultsLinksHtml(progress.resultsFileIds)}
+                    </div>
+                `;
+            } else {
+                statusHtml += '<p style="color: #666; font-style: italic;">No counts recorded yet for this run.</p>';
+            }
+
+            if (!isFinished) {
+                statusHtml += '<p style="color: #666;">This page refreshes every ' + STATUS_REFRESH_SECONDS + ' seconds until the import finishes.</p>';
+                statusHtml += '<script>setTimeout(function() { window.location.reload(); }, ' + (STATUS_REFRESH_SECONDS * 1000) + ');</script>';
+            }
+
+            form.addField({
+                id: 'custpage_status',
+                type: serverWidget.FieldType.INLINEHTML,
+                label: 'Status'
+            }).defaultValue = statusHtml;
+
+            const newImportUrl = url.resolveScript({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId
+            });
+
+            form.addButton({
+                id: 'custpage_new_import',
+                label: 'Start New Import',
+                functionName: "window.location.href = '" + newImportUrl + "'"
+            });
+
+            // Starting the BOM stage submits a task, so it is a POST from this button, never a link
+            if (progress && progress.status === runLib.RUN_STATUS.BOM_PENDING && !newerRun) {
+                [
+                    { id: 'custpage_step', label: 'Step', value: 'startBomStage' },
+                    { id: 'custpage_task_id', label: 'Task ID', value: taskId },
+                    { id: 'custpage_config_file_id', label: 'Config File ID', value: configFileId }
+                ].forEach(hidden => {
+                    const hiddenField = form.addField({ id: hidden.id, type: serverWidget.FieldType.TEXT, label: hidden.label });
+                    hiddenField.defaultValue = hidden.value;
+                    hiddenField.updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
+                });
+                form.addSubmitButton({ label: 'Start BOM Stage' });
+            }
+
+            context.response.writePage(form);
+        }
+
+        /**
+         * Start the BOM stage of a pending run (POST from the status page), then show its status
+         */
+        function handleStartBOMStage(context) {
+            const params = context.request.parameters;
+            const taskId = params.custpage_task_id;
+            const configFileId = params.custpage_config_file_id;
+            const runConfig = loadRunConfig(configFileId);
+
+            if (!runConfig.runId) {
+                showError(context, 'No import run found for config file ' + configFileId);
+                return;
+            }
+
+            const startError = startPendingBOMStage(runConfig.runId, runConfig.prospectName, configFileId);
+            if (startError) {
+                showError(context, startError);
+                return;
+            }
+
+            // Back to the status page with a GET, so a refresh does not submit again
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: { checkTask: taskId, configFileId: configFileId }
+            });
+        }
+
+        /**
+         * Prospect, file name, and run ID from a run's config file (blank if it cannot be loaded)
+         */
+        function loadRunConfig(configFileId) {
+            const runConfig = { prospectName: '', fileName: '', runId: null };
+            if (!configFileId) return runConfig;
+
+            try {
+                const config = JSON.parse(file.load({ id: configFileId }).getContents());
+                runConfig.prospectName = config.prospectName;
+                runConfig.fileName = config.csvFileName;
+                runConfig.runId = config.runId || null;
+            } catch (e) {
+                log.debug('Config Load Warning', 'Config File ID: ' + configFileId + ', Error: ' + e.toString());
+            }
+
+            return runConfig;
+        }
+
+        /**
+         * Start the BOM stage for a run left in BOM Stage Pending, under the prospect lock
+         * Returns an error message, or null once the task is submitted
+         */
+        function startPendingBOMStage(runId, prospectName, configFileId) {
+            const run = runLib.getRun(runId);
+            if (!run || run.status !== runLib.RUN_STATUS.BOM_PENDING) {
+                return 'Run ' + runId + ' is not waiting for its BOM stage' + (run ? ' (status: ' + run.status + ')' : '');
+            }
+
+            const newerRun = runLib.findNewerRun(runId, prospectName);
+            if (newerRun) {
+                return newerRunMessage(prospectName, newerRun);
+            }
+
+            const lock = runLib.acquireLock(runId, prospectName);
+            if (!lock.acquired) {
+                return 'Another import for prospect ' + prospectName + ' is running' +
+                    (lock.holder ? ' (Run ID: ' + lock.holder.id + ')' : '') + '. Start the BOM stage once it finishes.';
+            }
+
+            try {
+                const bomTaskId = runLib.submitBOMStage(configFileId, runLib.getBOMStageDeployment(runtime.getCurrentScript()));
+                runLib.updateRun(runId, { status: runLib.RUN_STATUS.PROCESSING, bomTaskId: bomTaskId });
+                log.audit('BOM Stage Started', 'Run ID: ' + runId + ', Task ID: ' + bomTaskId);
+                return null;
+            } catch (e) {
+                runLib.releaseLock(runId);
+                log.error('BOM Stage Submit Failed', 'Run ID: ' + runId + ', Error: ' + e.toString());
+                return 'The BOM stage could not be started: ' + e.message;
+            }
+        }
+
+        /**
+         * Why a pending BOM stage can no longer be started
+         */
+        function newerRunMessage(prospectName, newerRun) {
+            return 'A newer import for prospect ' + prospectName + ' was started after this one (Run ID: ' + newerRun.id +
+                ', status: ' + newerRun.status + '). This run\'s BOM stage would build BOMs from the older file, so it can no longer be started.';
+        }
+
+        /**
+         * Download links for the results CSV, one per part when it was written in parts
+         */
+        function buildResultsLinksHtml(fileIds) {
+            return fileIds.map((fileId, index) =>
+                '<p><a href="' + escapeHtml(getFileUrl(fileId)) + '">Download results CSV' +
+                (fileIds.length > 1 ? ' (part ' + (index + 1) + ' of ' + fileIds.length + ')' : '') + '</a></p>'
+            ).join('');
+        }
+
+        /**
+         * Get File Cabinet URL for a file, or empty string if it cannot be loaded
+         */
+        function getFileUrl(fileId) {
+            try {
+                return file.load({ id: fileId }).url;
+            } catch (e) {
+                log.debug('File URL Warning', 'File ID: ' + fileId + ', Error: ' + e.toString());
+                return '';
+            }
+        }
+
         /**
          * Show error page
          */
@@ -658,58 +1434,24 @@ define(['N/ui/serverWidget', 'N/file', 'N/task', 'N/runtime', 'N/redirect', 'N/u
         }
 
         /**
-         * Parse CSV content
-         */
-        function parseCSV(content) {
-            const lines = content.split('\n').filter(line => line.trim());
-            
-            if (lines.length === 0) {
-                return { headers: [], rows: [] };
-            }
-
-            const headers = parseRow(lines[0]);
-            const rows = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = parseRow(lines[i]);
-                // Only include rows that have at least some data
-                if (row.some(cell => cell.trim())) {
-                    rows.push(row);
-                }
-            }
-
-            return { headers, rows };
-        }
-
-        /**
-         * Parse a single CSV row (handles quotes and commas)
+         * Build warning box listing malformed CSV rows by line number
          */
-        function parseRow(rowText) {
-            const values = [];
-            let current = '';
-            let inQuotes = false;
-
-            for (let i = 0; i < rowText.length; i++) {
-                const char = rowText[i];
-                const nextChar = rowText[i + 1];
-
-                if (char === '"') {
-                    if (inQuotes && nextChar === '"') {
-                        current += '"';
-                        i++;
-                    } else {
-                        inQuotes = !inQuotes;
-                    }
-                } else if ((char === ',' || char === '\t') && !inQuotes) {
-                    values.push(current.trim());
-                    current = '';
-                } else if (char !== '\r') {
-                    current += char;
-                }
+        function buildParseErrorsHtml(errors) {
+            if (!errors || errors.length === 0) return '';
+
+            const shown = errors.slice(0, 20);
+            let html = '<div style="margin-bottom: 15px; padding: 10px; background-color: #f8d7da; border-radius: 5px; border-left: 4px solid #dc3545;">';
+            html += '<strong>Malformed Rows:</strong> ' + errors.length + ' problem(s) found - check these lines in the file<ul style="margin-bottom: 0;">';
+            shown.forEach(error => {
+                html += '<li>Line ' + error.lineNumber + ': ' + escapeHtml(error.message) + '</li>';
+            });
+            html += '</ul>';
+            if (errors.length > shown.length) {
+                html += '<p style="margin-bottom: 0; font-style: italic;">... and ' + (errors.length - shown.length) + ' more</p>';
             }
-            values.push(current.trim());
+            html += '</div>';
 
-            return values;
+            return html;
         }
 
         /**
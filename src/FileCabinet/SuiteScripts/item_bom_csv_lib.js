@@ -0,0 +1,229 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import CSV Library
+ *
+ * Purpose: Single CSV parser shared by the Suitelet preview and the Map/Reduce import,
+ * so both always agree on what a file contains
+ *
+ * Features:
+ * - RFC 4180 quoting (quoted delimiters, escaped "" quotes, line breaks inside quoted fields)
+ * - Delimiter detection from the header row (comma, semicolon, tab, pipe)
+ * - UTF-8 byte order mark stripped
+ * - Malformed rows reported by the line number they start on
+ * - Line-at-a-time parsing (createParser) for files streamed with the File Cabinet line iterator
+ * - All cells trimmed; rows with no data skipped
+ */
+
+define([],
+    function() {
+
+        // Candidate delimiters, in order of preference when counts tie
+        const DELIMITERS = [',', ';', '\t', '|'];
+
+        /**
+         * Parse CSV content
+         * Returns { headers, rows: [{ rowNumber, cells }], delimiter, errors: [{ lineNumber, message }] }
+         * rowNumber is the file line the row starts on (header is line 1)
+         */
+        function parse(content, options) {
+            const parser = createParser(options);
+            String(content || '').split(/\r\n|\r|\n/).forEach(line => parser.pushLine(line));
+            return parser.finish();
+        }
+
+        /**
+         * Parse CSV a line at a time, for files read with the File Cabinet line iterator
+         * pushLine(text) takes each file line without its line break; finish() returns the same
+         * result as parse. Line breaks inside quoted fields are kept as \n.
+         * options.onRow(row, headers): called with each data row as it completes instead of
+         * collecting it - finish() then returns no rows
+         */
+        function createParser(options) {
+            const opts = options || {};
+            let delimiter = opts.delimiter || null;
+            let headers = null;
+            const rows = [];
+            const errors = [];
+
+            let cells = [];
+            let current = '';
+            let inQuotes = false;
+            let afterQuote = false;
+            let line = 0;
+            let recordLine = 1;
+
+            const endCell = function() {
+                cells.push(current.trim());
+                current = '';
+                afterQuote = false;
+            };
+
+            const endRecord = function() {
+                endCell();
+                if (cells.some(cell => cell !== '')) {
+                    addRecord({ rowNumber: recordLine, cells: cells });
+                }
+                cells = [];
+            };
+
+            const addRecord = function(record) {
+                if (headers === null) {
+                    headers = record.cells;
+                    return;
+                }
+
+                // Rows with data past the last header column were probably split wrong
+                if (record.cells.length > headers.length && record.cells.slice(headers.length).some(cell => cell !== '')) {
+                    errors.push({
+                        lineNumber: record.rowNumber,
+                        message: 'Row has ' + record.cells.length + ' columns but the header has ' + headers.length
+                    });
+                }
+
+                if (opts.onRow) {
+                    opts.onRow(record, headers);
+                } else {
+                    rows.push(record);
+                }
+            };
+
+            const pushLine = function(lineText) {
+                let text = String(lineText || '');
+                line++;
+
+                if (line === 1) {
+                    // Strip UTF-8 byte order mark
+                    if (text.charCodeAt(0) === 0xFEFF) {
+                        text = text.substring(1);
+                    }
+                    delimiter = delimiter || detectDelimiter(text);
+                } else if (inQuotes) {
+                    // Line break inside a quoted field
+                    current += '\n';
+                } else {
+                    recordLine = line;
+                }
+
+                for (let i = 0; i < text.length; i++) {
+                    const char = text[i];
+
+                    if (inQuotes) {
+                        if (char === '"') {
+                            if (text[i + 1] === '"') {
+                                current += '"';
+                                i++;
+                            } else {
+                                inQuotes = false;
+                                afterQuote = true;
+                            }
+                        } else {
+                            current += char;
+                        }
+                    } else if (char === '"') {
+                        if (!afterQuote && !current.trim()) {
+                            inQuotes = true;
+                            current = '';
+                        } else {
+                            errors.push({ lineNumber: line, message: 'Unexpected quote inside an unquoted field' });
+                            current += char;
+                        }
+                    } else if (char === delimiter) {
+                        endCell();
+                    } else {
+                        if (afterQuote && char.trim()) {
+                            errors.push({ lineNumber: line, message: 'Unexpected text after a closing quote' });
+                            afterQuote = false;
+                        }
+                        current += char;
+                    }
+                }
+
+                if (!inQuotes) {
+                    endRecord();
+                }
+            };
+
+            const finish = function() {
+                if (inQuotes) {
+                    errors.push({ lineNumber: recordLine, message: 'Quoted field is never closed' });
+                    endRecord();
+                }
+
+                errors.sort((a, b) => a.lineNumber - b.lineNumber);
+
+                return {
+                    headers: headers || [],
+                    rows: rows,
+                    delimiter: delimiter || DELIMITERS[0],
+                    errors: errors
+                };
+            };
+
+            return {
+                pushLine: pushLine,
+                finish: finish
+            };
+        }
+
+        /**
+         * Detect delimiter by counting candidates outside quotes on the first line
+         */
+        function detectDelimiter(text) {
+            const counts = {};
+            DELIMITERS.forEach(d => {
+                counts[d] = 0;
+            });
+
+            let inQuotes = false;
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+
+                if (char === '"') {
+                    inQuotes = !inQuotes;
+                } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                    break;
+                } else if (!inQuotes && counts[char] !== undefined) {
+                    counts[char]++;
+                }
+            }
+
+            let best = DELIMITERS[0];
+            DELIMITERS.forEach(d => {
+                if (counts[d] > counts[best]) {
+                    best = d;
+                }
+            });
+
+            return best;
+        }
+
+        /**
+         * Build CSV content from an array of cell arrays
+         */
+        function stringify(rows) {
+            return rows.map(cells => cells.map(toCSVValue).join(',')).join('\r\n');
+        }
+
+        /**
+         * Quote a value for CSV output when needed
+         */
+        function toCSVValue(value) {
+            const text = value === null || value === undefined ? '' : String(value);
+            if (/[",\r\n]/.test(text)) {
+                return '"' + text.replace(/"/g, '""') + '"';
+            }
+            return text;
+        }
+
+        return {
+            DELIMITERS: DELIMITERS,
+            parse: parse,
+            createParser: createParser,
+            detectDelimiter: detectDelimiter,
+            stringify: stringify
+        };
+    });
@@ -0,0 +1,198 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Item Field Library
+ *
+ * Purpose: Find the item fields a column can be mapped to, and set file values on them
+ * with the right type
+ *
+ * - Mapping options are read at runtime from a new inventory and assembly item: the account's
+ *   custom item fields (custitem*) plus the standard body fields in STANDARD_FIELDS
+ * - Values are converted by field type: checkbox (Yes/No), date, numbers, and list/record
+ *   fields looked up by name; a value that cannot be converted throws instead of being dropped
+ */
+
+define(['N/record', 'N/cache', 'N/format'],
+    function(record, cache, format) {
+
+        // Standard item body fields that make sense to fill from a BOM file
+        const STANDARD_FIELDS = [
+            'mpn',
+            'manufacturer',
+            'vendorname',
+            'upccode',
+            'stockdescription',
+            'weight',
+            'cost',
+            'class',
+            'department',
+            'countryofmanufacture'
+        ];
+
+        // Field types a file value can be converted to
+        const SUPPORTED_TYPES = [
+            'text', 'textarea', 'longtext', 'richtext', 'email', 'url', 'phone',
+            'checkbox', 'date', 'datetimetz', 'integer', 'float', 'currency', 'percent',
+            'select', 'multiselect'
+        ];
+
+        // Item record types the field list is read from
+        const ITEM_TYPES = ['inventoryitem', 'assemblyitem'];
+
+        // Cell values accepted for checkboxes
+        const TRUE_VALUES = ['t', 'true', 'y', 'yes', 'x', '1'];
+        const FALSE_VALUES = ['f', 'false', 'n', 'no', '0'];
+
+        // Separators between values of a multi-select cell
+        const MULTISELECT_SEPARATOR = /\s*[|;]\s*/;
+
+        const CACHE_NAME = 'BOM_IMPORT_FIELDS';
+        const CACHE_KEY = 'ITEM_FIELDS';
+        const CACHE_TTL = 3600;
+
+        /**
+         * Item fields available for mapping: [{ id, label, type }]
+         * Standard fields first, then custom fields by label; cached for an hour
+         */
+        function getItemFields() {
+            const fieldCache = cache.getCache({ name: CACHE_NAME, scope: cache.Scope.PRIVATE });
+
+            const cached = fieldCache.get({ key: CACHE_KEY });
+            if (cached) {
+                return JSON.parse(cached);
+            }
+
+            const fieldsById = {};
+            ITEM_TYPES.forEach(itemType => {
+                try {
+                    const itemRec = record.create({ type: itemType });
+
+                    itemRec.getFields().forEach(fieldId => {
+                        if (fieldsById[fieldId]) return;
+                        if (STANDARD_FIELDS.indexOf(fieldId) < 0 && fieldId.indexOf('custitem') !== 0) return;
+
+                        const field = itemRec.getField({ fieldId: fieldId });
+                        if (!field || SUPPORTED_TYPES.indexOf(field.type) < 0) return;
+
+                        fieldsById[fieldId] = { id: fieldId, label: field.label || fieldId, type: field.type };
+                    });
+                } catch (e) {
+                    log.error('Item Field Discovery Error', itemType + ': ' + e.toString());
+                }
+            });
+
+            const standardFields = STANDARD_FIELDS.filter(fieldId => fieldsById[fieldId]).map(fieldId => fieldsById[fieldId]);
+            const customFields = Object.keys(fieldsById)
+                .filter(fieldId => STANDARD_FIELDS.indexOf(fieldId) < 0)
+                .map(fieldId => fieldsById[fieldId])
+                .sort((a, b) => a.label.localeCompare(b.label));
+
+            const fields = standardFields.concat(customFields);
+
+            fieldCache.put({ key: CACHE_KEY, value: JSON.stringify(fields), ttl: CACHE_TTL });
+
+            return fields;
+        }
+
+        /**
+         * Field types by field ID for the given field IDs (unknown fields are left out)
+         */
+        function getFieldTypes(fieldIds) {
+            const types = {};
+
+            getItemFields().forEach(field => {
+                if (fieldIds.indexOf(field.id) >= 0) {
+                    types[field.id] = field.type;
+                }
+            });
+
+            return types;
+        }
+
+        /**
+         * Convert a cell to the value setValue expects for a field type
+         * List/record types are returned unchanged - they are set by name with setText
+         * Throws if the cell cannot be converted
+         */
+        function convertValue(type, text) {
+            const value = String(text).trim();
+
+            if (type === 'checkbox') {
+                const lower = value.toLowerCase();
+                if (TRUE_VALUES.indexOf(lower) >= 0) return true;
+                if (FALSE_VALUES.indexOf(lower) >= 0) return false;
+                throw new Error('"' + value + '" is not a checkbox value (use Yes or No)');
+            }
+
+            if (type === 'date' || type === 'datetimetz') {
+                return parseDate(value);
+            }
+
+            if (type === 'integer') {
+                if (!/^-?\d+$/.test(value.replace(/,/g, ''))) {
+                    throw new Error('"' + value + '" is not a whole number');
+                }
+                return parseInt(value.replace(/,/g, ''), 10);
+            }
+
+            if (type === 'float' || type === 'currency' || type === 'percent') {
+                const number = Number(value.replace(/[,$%\s]/g, ''));
+                if (value === '' || isNaN(number)) {
+                    throw new Error('"' + value + '" is not a number');
+                }
+                return number;
+            }
+
+            return value;
+        }
+
+        /**
+         * Parse a date cell: ISO (2024-03-31) or the account's date format
+         */
+        function parseDate(value) {
+            const iso = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+            if (iso) {
+                return new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+            }
+
+            let date = null;
+            try {
+                date = format.parse({ value: value, type: format.Type.DATE });
+            } catch (e) {
+                date = null;
+            }
+
+            if (!(date instanceof Date) || isNaN(date.getTime())) {
+                throw new Error('"' + value + '" is not a date');
+            }
+            return date;
+        }
+
+        /**
+         * Set a cell value on a record field, converted for its type
+         * Fields without a known type are set as text. Throws with the field ID if the value is rejected.
+         */
+        function setFieldValue(rec, fieldId, text, type) {
+            try {
+                if (type === 'select') {
+                    rec.setText({ fieldId: fieldId, text: String(text).trim() });
+                } else if (type === 'multiselect') {
+                    rec.setText({ fieldId: fieldId, text: String(text).split(MULTISELECT_SEPARATOR).filter(Boolean) });
+                } else {
+                    rec.setValue({ fieldId: fieldId, value: convertValue(type, text) });
+                }
+            } catch (e) {
+                throw new Error(fieldId + ': ' + (e.message || e.toString()));
+            }
+        }
+
+        return {
+            getItemFields: getItemFields,
+            getFieldTypes: getFieldTypes,
+            convertValue: convertValue,
+            setFieldValue: setFieldValue
+        };
+    });
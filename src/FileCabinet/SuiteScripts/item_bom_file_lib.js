@@ -0,0 +1,93 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import File Library
+ *
+ * Purpose: Load an uploaded BOM file (CSV or Excel .xlsx) into { headers, rows }
+ * Both scripts read files through here so the preview and the import use the same parser.
+ * CSV files loaded from the File Cabinet are read line by line (file line iterator) rather than
+ * as one string, so files near the size limit parse without holding the content twice.
+ */
+
+define(['N/file', './item_bom_csv_lib', './item_bom_xlsx_lib'],
+    function(file, csvLib, xlsxLib) {
+
+        /**
+         * True if the file name is an Excel workbook
+         */
+        function isWorkbook(fileName) {
+            return /\.xlsx$/i.test(fileName || '');
+        }
+
+        /**
+         * Load and parse a File Cabinet file
+         * options.sheetName selects the worksheet of a workbook (first sheet if not given)
+         */
+        function load(fileId, options) {
+            const fileObj = file.load({ id: fileId });
+
+            if (isWorkbook(fileObj.name)) {
+                return parseFile(fileObj, options);
+            }
+
+            const parser = csvLib.createParser();
+            fileObj.lines.iterator().each(function(line) {
+                parser.pushLine(line.value);
+                return true;
+            });
+            return parser.finish();
+        }
+
+        /**
+         * Pass each data row of a File Cabinet file to onRow(row, headers) without collecting them
+         * CSV rows are parsed as their lines are read; a workbook is parsed whole first
+         * Returns { headers, delimiter, errors }
+         */
+        function eachRow(fileId, options, onRow) {
+            const fileObj = file.load({ id: fileId });
+
+            if (isWorkbook(fileObj.name)) {
+                const parsedData = parseFile(fileObj, options);
+                parsedData.rows.forEach(row => onRow(row, parsedData.headers));
+                return { headers: parsedData.headers, delimiter: parsedData.delimiter, errors: parsedData.errors };
+            }
+
+            const parser = csvLib.createParser({ onRow: onRow });
+            fileObj.lines.iterator().each(function(line) {
+                parser.pushLine(line.value);
+                return true;
+            });
+            return parser.finish();
+        }
+
+        /**
+         * Parse a loaded file object from its contents (uploaded files, workbooks)
+         */
+        function parseFile(fileObj, options) {
+            const opts = options || {};
+
+            if (isWorkbook(fileObj.name)) {
+                return xlsxLib.parse(fileObj.getContents(), { sheetName: opts.sheetName });
+            }
+
+            return csvLib.parse(fileObj.getContents());
+        }
+
+        /**
+         * File name without its CSV/workbook extension, for naming config and results files
+         */
+        function baseName(fileName) {
+            return String(fileName || 'bom_import').replace(/\.(csv|txt|xlsx)$/i, '');
+        }
+
+        return {
+            isWorkbook: isWorkbook,
+            load: load,
+            eachRow: eachRow,
+            parseFile: parseFile,
+            baseName: baseName
+        };
+    });
@@ -0,0 +1,190 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Header Matching Library
+ *
+ * Purpose: Suggest a field for each column of an uploaded file from its header
+ *
+ * - Headers are scored against a synonym dictionary built from common CAD/PLM export
+ *   vocabularies (SolidWorks, Altium, Arena, Agile, Windchill, Onshape, Fusion)
+ * - Fields without dictionary entries (custom item fields) match on their label or field ID
+ * - Assignment is one-to-one: each field is claimed by its best-scoring column, and only one
+ *   structure field (Hierarchy, Level, or Parent Item) is suggested
+ * - Each suggestion carries a confidence (high, medium, low) for the mapping form
+ */
+
+define([],
+    function() {
+
+        // Synonyms per field, normalized (see normalizeHeader)
+        // A leading "=" marks a synonym that only counts as an exact match ("count" alone is a
+        // quantity; "item count" is not)
+        const SYNONYMS = {
+            hierarchy: ['hierarchy', 'bom structure', 'structure', 'outline', 'outline number', 'wbs', 'indented number', '=item no', '=position', '=pos'],
+            level: ['level', 'bom level', 'lvl', 'indent', 'indent level', 'depth', '=lev'],
+            parent: ['parent', 'parent part', 'parent part number', 'parent pn', 'parent item', 'parent item number',
+                'parent assembly', 'assembly number', '=assembly', '=assy'],
+            itemid: ['part number', 'part no', 'part num', 'pn', 'item number', 'item id', 'itemid', 'item code', 'part code',
+                'sku', 'ipn', 'internal part number', 'component', 'component part', 'component part number', 'component number',
+                'child', 'child part', 'child part number', 'child item', '=part', '=item', '=number'],
+            displayname: ['description', 'desc', 'part description', 'item description', 'component description',
+                'display name', 'item name', 'part name', '=name', '=title'],
+            itemtype: ['item type', 'part type', 'component type', 'record type', 'item class', '=type'],
+            quantity: ['quantity', 'qty', 'qty per', 'quantity per', 'qty per assembly', 'quantity per assembly',
+                'qty required', 'bom qty', '=count', '=usage'],
+            mpn: ['mpn', 'manufacturer part number', 'manufacturer part', 'manufacturer pn', 'mfr part number', 'mfr part',
+                'mfr pn', 'mfg part number', 'mfg part', 'mfg pn'],
+            manufacturer: ['manufacturer', 'manufacturer name', 'mfr', 'mfr name', 'mfg', 'mfg name', '=make', '=brand'],
+            vendor: ['vendor', 'vendor name', 'supplier', 'supplier name', 'distributor', 'distributor name', 'preferred vendor'],
+            vendorpartnumber: ['vendor part number', 'vendor part', 'vendor pn', 'vendor sku', 'vpn', 'supplier part number',
+                'supplier part', 'supplier pn', 'spn', 'distributor part number', 'distributor pn'],
+            revision: ['revision', 'rev', 'item revision', 'part revision', 'item rev', 'part rev', '=version'],
+            memo: ['comment', 'comments', 'memo', 'note', 'notes', 'remarks', 'bom notes', 'bom comment'],
+            refdes: ['reference designator', 'reference designators', 'ref des', 'refdes', 'designator', 'designators',
+                'references', '=reference', '=ref'],
+            componentyield: ['yield', 'component yield', 'yield percent', 'yield pct'],
+            itemsource: ['item source', 'component source', 'supply source', '=source'],
+            units: ['units', 'unit', 'uom', 'unit of measure', 'units of measure', '=um']
+        };
+
+        // Only one of these is suggested per file
+        const STRUCTURE_FIELDS = ['hierarchy', 'level', 'parent'];
+
+        // Scores
+        const EXACT_SCORE = 100;
+        const LABEL_SCORE = 95;
+        const PHRASE_BASE_SCORE = 50;
+        const PHRASE_COVERAGE_SCORE = 40;
+        const MIN_SCORE = 55;
+
+        // Confidence bands
+        const HIGH_CONFIDENCE = 90;
+        const MEDIUM_CONFIDENCE = 70;
+
+        /**
+         * Suggest a field for each column
+         * fields: [{ id, label }] - the fields the columns can be mapped to
+         * Returns { colIndex: { field, score, confidence } } for the columns with a suggestion
+         */
+        function detectMappings(headers, fields) {
+            const candidates = [];
+
+            headers.forEach((header, colIndex) => {
+                const normalized = normalizeHeader(header);
+                if (!normalized) return;
+
+                fields.forEach(field => {
+                    const score = scoreHeader(normalized, field);
+                    if (score >= MIN_SCORE) {
+                        candidates.push({ colIndex: colIndex, field: field.id, score: score });
+                    }
+                });
+            });
+
+            // Best pairs first; earlier columns win ties
+            candidates.sort((a, b) => b.score - a.score || a.colIndex - b.colIndex);
+
+            const suggestions = {};
+            const claimedFields = new Set();
+            let structureClaimed = false;
+
+            candidates.forEach(candidate => {
+                if (suggestions[candidate.colIndex] || claimedFields.has(candidate.field)) return;
+
+                const isStructure = STRUCTURE_FIELDS.indexOf(candidate.field) >= 0;
+                if (isStructure && structureClaimed) return;
+
+                suggestions[candidate.colIndex] = {
+                    field: candidate.field,
+                    score: Math.round(candidate.score),
+                    confidence: getConfidence(candidate.score)
+                };
+                claimedFields.add(candidate.field);
+                if (isStructure) structureClaimed = true;
+            });
+
+            return suggestions;
+        }
+
+        /**
+         * Score one normalized header against one field
+         */
+        function scoreHeader(normalized, field) {
+            const synonyms = SYNONYMS[field.id];
+
+            if (!synonyms) {
+                // No dictionary entry - match the field's own label or ID
+                if (normalized === normalizeHeader(field.label) || normalized === normalizeHeader(field.id)) {
+                    return LABEL_SCORE;
+                }
+                return 0;
+            }
+
+            const headerTokens = normalized.split(' ');
+            let best = 0;
+
+            synonyms.forEach(entry => {
+                const exactOnly = entry.charAt(0) === '=';
+                const synonym = exactOnly ? entry.substring(1) : entry;
+
+                if (normalized === synonym) {
+                    best = Math.max(best, EXACT_SCORE);
+                } else if (!exactOnly && containsPhrase(headerTokens, synonym.split(' '))) {
+                    const coverage = synonym.split(' ').length / headerTokens.length;
+                    best = Math.max(best, PHRASE_BASE_SCORE + PHRASE_COVERAGE_SCORE * coverage);
+                }
+            });
+
+            return best;
+        }
+
+        /**
+         * True if the phrase tokens appear in order, side by side, in the header tokens
+         */
+        function containsPhrase(headerTokens, phraseTokens) {
+            for (let i = 0; i + phraseTokens.length <= headerTokens.length; i++) {
+                if (phraseTokens.every((token, offset) => headerTokens[i + offset] === token)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        /**
+         * Lower-case header words: "#" becomes "number", punctuation becomes spaces,
+         * and a trailing column counter is dropped ("Manufacturer 1" -> "manufacturer")
+         */
+        function normalizeHeader(header) {
+            const tokens = String(header || '')
+                .toLowerCase()
+                .replace(/#/g, ' number ')
+                .replace(/\./g, '')
+                .replace(/[^a-z0-9]+/g, ' ')
+                .trim()
+                .split(' ')
+                .filter(Boolean);
+
+            if (tokens.length > 1 && /^\d$/.test(tokens[tokens.length - 1])) {
+                tokens.pop();
+            }
+
+            return tokens.join(' ');
+        }
+
+        /**
+         * Confidence band for a score
+         */
+        function getConfidence(score) {
+            if (score >= HIGH_CONFIDENCE) return 'high';
+            if (score >= MEDIUM_CONFIDENCE) return 'medium';
+            return 'low';
+        }
+
+        return {
+            detectMappings: detectMappings,
+            normalizeHeader: normalizeHeader
+        };
+    });
@@ -0,0 +1,292 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Hierarchy Library
+ *
+ * Purpose: Turn the BOM structure columns of an import file into dotted hierarchy paths
+ * (1, 1.1, 1.1.1) that the Map/Reduce uses to classify assemblies and find parents
+ *
+ * Supported formats:
+ * - Dotted hierarchy: normalized so "1.0" roots, padded segments ("01.02"), stray whitespace,
+ *   and Excel-mangled numbers line up with their children
+ * - Indented level: integer Level column (0, 1, 2, 2, 1...) read in row order, as exported
+ *   by SolidWorks, Altium, Arena and most CAD/PLM tools
+ * - Parent/child: each row names its parent part number, as exported by most ERPs
+ */
+
+define([],
+    function() {
+
+        /**
+         * Normalize the hierarchy values of all rows in place
+         * rows: [{ rowNumber, hierarchy }]
+         * Root ".0" suffixes are dropped ("1.0" -> "1") unless the file uses a 0 segment as a
+         * parent elsewhere (e.g. "1.0.1"), in which case "1.0" is a real node and is kept
+         * A deeper ".0" ("1.1.0") is left alone - it is its own node, not another "1.1"
+         * Returns every rewrite: [{ rowNumber, from, to }]
+         */
+        function normalizeHierarchies(rows) {
+            const cleaned = rows.map(row => cleanHierarchy(row.hierarchy));
+
+            // Keep ".0" if a zero segment is ever followed by more segments (other than a root's own "1.0.0")
+            const zeroIsParent = cleaned.some(value => value && /(^|\.)0\./.test(value) && !/^\d+(\.0)+$/.test(value));
+
+            const changes = [];
+            rows.forEach((row, index) => {
+                if (row.hierarchy === null || row.hierarchy === undefined || row.hierarchy === '') return;
+
+                let value = cleaned[index];
+                if (!zeroIsParent) {
+                    value = stripRootZeroSuffix(value);
+                }
+
+                if (value !== row.hierarchy) {
+                    changes.push({ rowNumber: row.rowNumber, from: row.hierarchy, to: value });
+                    row.hierarchy = value;
+                }
+            });
+
+            return changes;
+        }
+
+        /**
+         * Normalize one hierarchy value without the file-level ".0" check
+         */
+        function normalizeHierarchy(value) {
+            return stripRootZeroSuffix(cleanHierarchy(value));
+        }
+
+        /**
+         * Whitespace, separators, float noise, and zero padding
+         */
+        function cleanHierarchy(value) {
+            if (value === null || value === undefined) return value;
+
+            let text = String(value).replace(/\s+/g, '');
+
+            // European decimal comma from Excel ("1,2" -> "1.2")
+            if (/^\d+(,\d+)+$/.test(text)) {
+                text = text.replace(/,/g, '.');
+            }
+
+            // Binary float noise from Excel ("1.1000000000000001" -> "1.1")
+            if (/^\d+\.\d{10,}$/.test(text)) {
+                text = String(parseFloat(parseFloat(text).toPrecision(12)));
+            }
+
+            // Trailing separator ("1." -> "1")
+            text = text.replace(/\.+$/, '');
+
+            if (!/^\d+(\.\d+)*$/.test(text)) {
+                return text;
+            }
+
+            // Zero-padded segments ("01.02" -> "1.2")
+            return text.split('.').map(segment => String(parseInt(segment, 10))).join('.');
+        }
+
+        /**
+         * Drop the ".0" suffix of a root ("1.0" -> "1", "1.0.0" -> "1"); other values are unchanged
+         */
+        function stripRootZeroSuffix(value) {
+            if (!value || !/^\d+(\.0)+$/.test(value)) return value;
+
+            return value.split('.')[0];
+        }
+
+        /**
+         * Convert indented levels to dotted hierarchy paths, in row order
+         * rows: [{ rowNumber, level }] - sets row.hierarchy on every row with a usable level
+         * The smallest level in the file is the top level (works for 0-based and 1-based exports)
+         * Returns warnings: [{ rowNumber, message }]
+         */
+        function levelsToHierarchy(rows) {
+            const warnings = [];
+
+            const levels = rows.map(row => parseLevel(row.level));
+            const validLevels = levels.filter(level => level !== null);
+            const topLevel = validLevels.length > 0 ? Math.min.apply(null, validLevels) : 0;
+
+            let counters = [];
+
+            rows.forEach((row, index) => {
+                const level = levels[index];
+
+                if (level === null) {
+                    if (row.level !== undefined && row.level !== null && row.level !== '') {
+                        warnings.push({ rowNumber: row.rowNumber, message: 'Level "' + row.level + '" is not a whole number' });
+                    }
+                    row.hierarchy = null;
+                    return;
+                }
+
+                let depth = level - topLevel;
+
+                // A row can only go one level deeper than the row before it
+                if (depth > counters.length) {
+                    warnings.push({
+                        rowNumber: row.rowNumber,
+                        message: 'Level ' + level + ' skips a level after level ' + (counters.length - 1 + topLevel) +
+                            '; placed under the previous row'
+                    });
+                    depth = counters.length;
+                }
+
+                counters = counters.slice(0, depth + 1);
+                counters[depth] = (counters[depth] || 0) + 1;
+
+                row.hierarchy = counters.join('.');
+            });
+
+            return warnings;
+        }
+
+        /**
+         * Parse a level cell to a whole number, or null
+         * Accepts "2", "2.0", and dot-indented ".2" / "..2" styles
+         */
+        function parseLevel(value) {
+            if (value === undefined || value === null) return null;
+
+            const text = String(value).trim().replace(/^\.+/, '');
+            if (!/^\d+(\.0+)?$/.test(text)) return null;
+
+            return parseInt(text, 10);
+        }
+
+        /**
+         * Build dotted hierarchy paths from parent part references
+         * rows: [{ rowNumber, itemFields: { itemid }, parentItemId }] - rows without an item ID are ignored
+         *
+         * Roots are rows with no parent. If no row lacks a parent (edge-only export), parent parts
+         * that never appear as a child become roots. Rows whose parent part is not in the file are
+         * orphans: they and their descendants are left out and reported. A subassembly used under
+         * several parents is placed under each of them, with its children repeated.
+         *
+         * Each placed row gets a rowKey: the row number for a row's first placement, and
+         * "<rowNumber>@<hierarchy>" for a repeated placement or a root made from a parent part
+         * (synthetic: true - its rowNumber is the row that names it as a parent)
+         *
+         * Returns { rows, warnings: [{ rowNumber, message }] } - rows are copies in tree order
+         * Throws if the references form a cycle
+         */
+        function parentRefsToHierarchy(rows) {
+            const warnings = [];
+            const itemRows = rows.filter(row => row.itemFields.itemid);
+            const childrenByParent = {};
+            const itemIds = new Set();
+
+            itemRows.forEach(row => {
+                itemIds.add(row.itemFields.itemid);
+                if (row.parentItemId) {
+                    childrenByParent[row.parentItemId] = childrenByParent[row.parentItemId] || [];
+                    childrenByParent[row.parentItemId].push(row);
+                }
+            });
+
+            checkForCycles(childrenByParent);
+
+            let roots = itemRows.filter(row => !row.parentItemId);
+
+            if (roots.length === 0) {
+                // Edge-only export: top-level parts appear only as parents
+                const rootIds = [];
+                itemRows.forEach(row => {
+                    if (!itemIds.has(row.parentItemId) && rootIds.indexOf(row.parentItemId) < 0) {
+                        rootIds.push(row.parentItemId);
+                    }
+                });
+                roots = rootIds.map(rootId => ({
+                    rowNumber: childrenByParent[rootId][0].rowNumber,
+                    synthetic: true,
+                    hierarchy: null,
+                    itemFields: { itemid: rootId },
+                    bomFields: {},
+                    vendorName: null
+                }));
+            } else {
+                itemRows.forEach(row => {
+                    if (row.parentItemId && !itemIds.has(row.parentItemId)) {
+                        warnings.push({
+                            rowNumber: row.rowNumber,
+                            message: 'Parent part "' + row.parentItemId + '" of ' + row.itemFields.itemid + ' is not in the file; row and its children skipped'
+                        });
+                    }
+                });
+            }
+
+            const placed = [];
+            const placedRowNumbers = new Set();
+
+            const visit = function(row, path) {
+                const repeated = row.synthetic || placedRowNumbers.has(row.rowNumber);
+                placed.push(Object.assign({}, row, {
+                    hierarchy: path,
+                    rowKey: repeated ? row.rowNumber + '@' + path : String(row.rowNumber)
+                }));
+                if (!row.synthetic) {
+                    placedRowNumbers.add(row.rowNumber);
+                }
+
+                (childrenByParent[row.itemFields.itemid] || []).forEach((child, index) => {
+                    visit(child, path + '.' + (index + 1));
+                });
+            };
+
+            roots.forEach((root, index) => {
+                visit(root, String(index + 1));
+            });
+
+            const orphanRows = new Set(warnings.map(w => w.rowNumber));
+            itemRows.forEach(row => {
+                if (!placedRowNumbers.has(row.rowNumber) && !orphanRows.has(row.rowNumber)) {
+                    warnings.push({
+                        rowNumber: row.rowNumber,
+                        message: row.itemFields.itemid + ' is not connected to a top-level part; skipped'
+                    });
+                }
+            });
+
+            warnings.sort((a, b) => a.rowNumber - b.rowNumber);
+
+            return { rows: placed, warnings: warnings };
+        }
+
+        /**
+         * Throw if parent references loop back on themselves (A > B > A)
+         */
+        function checkForCycles(childrenByParent) {
+            const DONE = 2;
+            const state = {};
+
+            const walk = function(itemId, path) {
+                if (state[itemId] === DONE) return;
+                if (path.indexOf(itemId) >= 0) {
+                    const cycle = path.slice(path.indexOf(itemId)).concat([itemId]);
+                    const row = (childrenByParent[path[path.length - 1]] || []).find(r => r.itemFields.itemid === itemId);
+                    throw new Error('BOM structure has a cycle: ' + cycle.join(' > ') + (row ? ' (row ' + row.rowNumber + ')' : ''));
+                }
+
+                const nextPath = path.concat([itemId]);
+                (childrenByParent[itemId] || []).forEach(child => {
+                    walk(child.itemFields.itemid, nextPath);
+                });
+                state[itemId] = DONE;
+            };
+
+            Object.keys(childrenByParent).forEach(parentId => {
+                walk(parentId, []);
+            });
+        }
+
+        return {
+            normalizeHierarchies: normalizeHierarchies,
+            normalizeHierarchy: normalizeHierarchy,
+            levelsToHierarchy: levelsToHierarchy,
+            parentRefsToHierarchy: parentRefsToHierarchy,
+            parseLevel: parseLevel
+        };
+    });
@@ -0,0 +1,193 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Item Type Library
+ *
+ * Purpose: Turn the optional Item Type column into a NetSuite record type for each row
+ *
+ * Without an Item Type, a row with children is an assembly and any other row is an inventory
+ * item. With one, the type decides the record type; types that can have components (assembly,
+ * lot, serial) pick the assembly or inventory record type from the structure. Leaf-only types
+ * (inventory, noninv, service, othercharge) must not have children, and kits must have them.
+ *
+ * Rows without an Item Type can be made lot numbered or serialized by a tracking rule per
+ * position in the structure (top-level assemblies, subassemblies, components) - see getTrackingRule
+ */
+
+define([],
+    function() {
+
+        // Item types: record type for a row without children (leaf) and with children (parent)
+        // A type without leaf or parent cannot be used in that position
+        // subtype: non-inventory, service, and other charge items are created for purchase,
+        // since BOM lines are bought in
+        const ITEM_TYPES = {
+            inventory: { label: 'Inventory', leaf: 'inventoryitem' },
+            assembly: { label: 'Assembly', leaf: 'assemblyitem', parent: 'assemblyitem' },
+            lot: { label: 'Lot Numbered', leaf: 'lotnumberedinventoryitem', parent: 'lotnumberedassemblyitem' },
+            serial: { label: 'Serialized', leaf: 'serializedinventoryitem', parent: 'serializedassemblyitem' },
+            noninv: { label: 'Non-Inventory', leaf: 'noninventoryitem', subtype: 'Purchase' },
+            service: { label: 'Service', leaf: 'serviceitem', subtype: 'Purchase' },
+            othercharge: { label: 'Other Charge', leaf: 'otherchargeitem', subtype: 'Purchase' },
+            kit: { label: 'Kit/Package', parent: 'kititem' }
+        };
+
+        // Cell values accepted for each item type (lower case, spaces and punctuation removed)
+        const ALIASES = {
+            inventory: ['inventory', 'inv', 'inventoryitem', 'stock', 'part'],
+            assembly: ['assembly', 'assy', 'assemblyitem', 'subassembly', 'build'],
+            lot: ['lot', 'lotnumbered', 'lotnumberedinventoryitem', 'lotnumberedassemblyitem', 'lotted', 'batch'],
+            serial: ['serial', 'serialized', 'serialised', 'serializedinventoryitem', 'serializedassemblyitem', 'sn'],
+            noninv: ['noninv', 'noninventory', 'noninventoryitem', 'nonstock'],
+            service: ['service', 'serviceitem', 'labor', 'labour'],
+            othercharge: ['othercharge', 'otherchargeitem', 'charge'],
+            kit: ['kit', 'kititem', 'package']
+        };
+
+        // Record types that carry stock: MRP settings and item location configuration apply
+        const INVENTORIED_RECORD_TYPES = [
+            'inventoryitem', 'assemblyitem',
+            'lotnumberedinventoryitem', 'lotnumberedassemblyitem',
+            'serializedinventoryitem', 'serializedassemblyitem'
+        ];
+
+        // Record types that get a BOM
+        const ASSEMBLY_RECORD_TYPES = ['assemblyitem', 'lotnumberedassemblyitem', 'serializedassemblyitem'];
+
+        // Record types that get the preferred vendor line
+        const VENDOR_RECORD_TYPES = ['inventoryitem', 'lotnumberedinventoryitem', 'serializedinventoryitem', 'noninventoryitem'];
+
+        // Costing method for lot numbered and serialized record types, so each lot or serial
+        // number carries its own cost (the account default may not be valid for these types)
+        const COSTING_METHODS = {
+            lotnumberedinventoryitem: 'LOT',
+            lotnumberedassemblyitem: 'LOT',
+            serializedinventoryitem: 'SERIAL',
+            serializedassemblyitem: 'SERIAL'
+        };
+
+        // Tracking rule choices (Item Defaults): item type applied to rows without an Item Type
+        const TRACKING_TYPES = ['lot', 'serial'];
+
+        /**
+         * Item type key for a cell value, or null if the value is not recognized
+         */
+        function parseItemType(value) {
+            const text = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+            if (!text) return null;
+
+            return Object.keys(ALIASES).find(key => ALIASES[key].indexOf(text) >= 0) || null;
+        }
+
+        /**
+         * Resolve a row's record type from its Item Type cell and whether it has children
+         * Returns { itemType, recordType, subtype, error } - error is set when the type does not fit
+         * the row's place in the structure (recordType is then the type's own record type)
+         */
+        function resolveItemType(value, hasChildren) {
+            if (value === null || value === undefined || value === '') {
+                return {
+                    itemType: hasChildren ? 'assembly' : 'inventory',
+                    recordType: hasChildren ? 'assemblyitem' : 'inventoryitem',
+                    subtype: null,
+                    error: null
+                };
+            }
+
+            const itemType = parseItemType(value);
+            if (!itemType) {
+                return {
+                    itemType: null,
+                    recordType: hasChildren ? 'assemblyitem' : 'inventoryitem',
+                    subtype: null,
+                    error: 'Unknown item type "' + value + '" (use one of: ' + Object.keys(ITEM_TYPES).join(', ') + ')'
+                };
+            }
+
+            const definition = ITEM_TYPES[itemType];
+            const recordType = hasChildren ? definition.parent : definition.leaf;
+
+            if (!recordType) {
+                return {
+                    itemType: itemType,
+                    recordType: definition.leaf || definition.parent,
+                    subtype: definition.subtype || null,
+                    error: hasChildren
+                        ? definition.label + ' items cannot have components'
+                        : definition.label + ' items need at least one component'
+                };
+            }
+
+            return { itemType: itemType, recordType: recordType, subtype: definition.subtype || null, error: null };
+        }
+
+        /**
+         * Item type the tracking rule gives a row without an Item Type, or null
+         * tracking: { topLevel, subassembly, component } - each '', 'lot', or 'serial'
+         */
+        function getTrackingRule(tracking, hasChildren, isTopLevel) {
+            if (!tracking) return null;
+
+            let itemType;
+            if (!hasChildren) {
+                itemType = tracking.component;
+            } else if (isTopLevel) {
+                itemType = tracking.topLevel;
+            } else {
+                itemType = tracking.subassembly;
+            }
+
+            return TRACKING_TYPES.indexOf(itemType) >= 0 ? itemType : null;
+        }
+
+        /**
+         * True if MRP and item location settings apply to the record type
+         */
+        function isInventoried(recordType) {
+            return INVENTORIED_RECORD_TYPES.indexOf(recordType) >= 0;
+        }
+
+        /**
+         * True if the record type gets a BOM
+         */
+        function isAssemblyType(recordType) {
+            return ASSEMBLY_RECORD_TYPES.indexOf(recordType) >= 0;
+        }
+
+        /**
+         * True if the record type gets the preferred vendor line
+         */
+        function hasVendorLine(recordType) {
+            return VENDOR_RECORD_TYPES.indexOf(recordType) >= 0;
+        }
+
+        /**
+         * True if the record type tracks lot or serial numbers
+         */
+        function isTracked(recordType) {
+            return Object.prototype.hasOwnProperty.call(COSTING_METHODS, recordType);
+        }
+
+        /**
+         * Costing method a new item of the record type is created with, or null for the account default
+         */
+        function getCostingMethod(recordType) {
+            return COSTING_METHODS[recordType] || null;
+        }
+
+        return {
+            ITEM_TYPES: ITEM_TYPES,
+            TRACKING_TYPES: TRACKING_TYPES,
+            parseItemType: parseItemType,
+            resolveItemType: resolveItemType,
+            getTrackingRule: getTrackingRule,
+            isInventoried: isInventoried,
+            isAssemblyType: isAssemblyType,
+            hasVendorLine: hasVendorLine,
+            isTracked: isTracked,
+            getCostingMethod: getCostingMethod
+        };
+    });
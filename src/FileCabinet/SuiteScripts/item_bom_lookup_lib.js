@@ -0,0 +1,102 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Lookup Library
+ *
+ * Purpose: Resolve many items and item location configurations with a few paged searches,
+ * instead of one search per row
+ *
+ * - getInputData resolves every <prospect>_<itemid> external ID and the existing items'
+ *   location configurations once and passes them to reduce on each row
+ * - summarize resolves the external IDs again once reduce has created the items
+ * - IDs are searched in batches (BATCH_SIZE per filter); each batch costs one paged search
+ *   plus one fetch per page of results
+ */
+
+define(['N/search'],
+    function(search) {
+
+        // Values per anyof filter
+        const BATCH_SIZE = 500;
+
+        // Results per page
+        const PAGE_SIZE = 1000;
+
+        /**
+         * Items by external ID: { externalId: { id, recordType } } for the ones that exist
+         */
+        function findItems(externalIds) {
+            const items = {};
+
+            runBatched(unique(externalIds), batch => ({
+                type: 'item',
+                filters: [['externalid', 'anyof', batch]],
+                columns: ['internalid', 'externalid']
+            }), result => {
+                const externalId = result.getValue('externalid');
+                if (externalId && !items[externalId]) {
+                    items[externalId] = { id: result.getValue('internalid'), recordType: result.recordType };
+                }
+            });
+
+            return items;
+        }
+
+        /**
+         * Item location configurations by item internal ID:
+         * { itemId: [{ configId, locationId, currentSupplyType, currentLotSizing, currentLeadTime }] }
+         * Every item asked for gets a list (empty if it has no configurations)
+         */
+        function findItemLocations(itemIds) {
+            const locations = {};
+            const ids = unique(itemIds);
+            ids.forEach(itemId => { locations[itemId] = []; });
+
+            runBatched(ids, batch => ({
+                type: 'itemlocationconfiguration',
+                filters: [['item', 'anyof', batch]],
+                columns: ['internalid', 'item', 'location', 'supplytype', 'supplylotsizingmethod', 'leadtime']
+            }), result => {
+                const itemId = String(result.getValue('item'));
+                locations[itemId] = locations[itemId] || [];
+                locations[itemId].push({
+                    configId: result.getValue('internalid'),
+                    locationId: result.getValue('location'),
+                    currentSupplyType: result.getValue('supplytype'),
+                    currentLotSizing: result.getValue('supplylotsizingmethod'),
+                    currentLeadTime: result.getValue('leadtime')
+                });
+            });
+
+            return locations;
+        }
+
+        /**
+         * Run a paged search per batch of values and pass each result to onResult
+         */
+        function runBatched(values, buildSearch, onResult) {
+            for (let start = 0; start < values.length; start += BATCH_SIZE) {
+                const pagedData = search.create(buildSearch(values.slice(start, start + BATCH_SIZE)))
+                    .runPaged({ pageSize: PAGE_SIZE });
+
+                pagedData.pageRanges.forEach(pageRange => {
+                    pagedData.fetch({ index: pageRange.index }).data.forEach(onResult);
+                });
+            }
+        }
+
+        /**
+         * Distinct non-empty values as strings, in first-seen order
+         */
+        function unique(values) {
+            return Array.from(new Set(values.filter(value => value !== null && value !== undefined && value !== '').map(String)));
+        }
+
+        return {
+            findItems: findItems,
+            findItemLocations: findItemLocations
+        };
+    });
@@ -0,0 +1,204 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Results Library
+ *
+ * Purpose: Write the results CSV (the import file's columns plus each row's outcome) at the end
+ * of a run - by the BOM stage, or by the item stage when the BOM stage cannot start
+ *
+ * The results are longer than the import file, so they are written in parts that stay under
+ * the File Cabinet's content limit: <file>_run<id>_results.csv, then <file>_run<id>_results_2.csv,
+ * ... each with the header row. The run ID keeps a later upload of the same file from replacing
+ * them. The import file is read a row at a time while the parts are written.
+ */
+
+define(['N/file', 'N/search', './item_bom_csv_lib', './item_bom_file_lib', './item_bom_staging_lib'],
+    function(file, search, csvLib, fileLib, stagingLib) {
+
+        // Columns added after the import file's own
+        const RESULT_HEADERS = ['Hierarchy', 'NetSuite Internal ID', 'External ID', 'Record Type', 'Outcome', 'Error', 'BOM ID', 'BOM Revision ID'];
+
+        /**
+         * Write results CSV next to the config file
+         * Original CSV columns plus hierarchy, internal ID, external ID, detected type, outcome, error, and BOM/revision IDs
+         * rowOutcomes: item results by row key; bomOutcomes: { bomId, revisionId, error } by row key
+         * A file row placed more than once (Parent Item format) gets a line per placement; roots made
+         * from parent parts are added at the end, with the original columns blank
+         * Returns the part file IDs in order (empty if the file could not be written)
+         */
+        function writeResultsFile(config, folderId, allRows, rowOutcomes, bomOutcomes) {
+            try {
+                const placementsByNumber = {};
+                allRows.filter(row => !row.synthetic).forEach(row => {
+                    placementsByNumber[row.rowNumber] = placementsByNumber[row.rowNumber] || [];
+                    placementsByNumber[row.rowNumber].push(row);
+                });
+
+                const resultCells = function(row) {
+                    const outcome = rowOutcomes[row.rowKey] || {};
+                    const bomOutcome = bomOutcomes[row.rowKey] || {};
+
+                    return [
+                        row.hierarchy,
+                        outcome.internalId || '',
+                        config.prospectName + '_' + row.itemFields.itemid,
+                        row.recordType,
+                        outcome.action || 'unknown',
+                        outcome.error || bomOutcome.error || '',
+                        bomOutcome.bomId || '',
+                        bomOutcome.revisionId || ''
+                    ];
+                };
+
+                const runPart = config.runId ? '_run' + config.runId : '';
+                const writer = createPartWriter(fileLib.baseName(config.csvFileName) + runPart + '_results', folderId);
+                let headerLine = null;
+
+                const parsedData = fileLib.eachRow(config.csvFileId, { sheetName: config.sheetName }, (csvRow, headers) => {
+                    if (headerLine === null) {
+                        headerLine = toLine(headers.concat(RESULT_HEADERS));
+                        writer.setHeader(headerLine);
+                    }
+
+                    const cells = csvRow.cells.slice();
+                    const placements = placementsByNumber[csvRow.rowNumber];
+
+                    // Pad short rows so the result columns line up
+                    while (cells.length < headers.length) {
+                        cells.push('');
+                    }
+
+                    if (!placements) {
+                        writer.add(toLine(cells.concat(['', '', '', '', 'not imported', 'Missing hierarchy or item ID', '', ''])));
+                        return;
+                    }
+
+                    placements.forEach(row => {
+                        writer.add(toLine(cells.concat(resultCells(row))));
+                    });
+                });
+
+                if (parsedData.headers.length === 0) {
+                    return [];
+                }
+                if (headerLine === null) {
+                    // Header row only
+                    writer.setHeader(toLine(parsedData.headers.concat(RESULT_HEADERS)));
+                }
+
+                const blankCells = parsedData.headers.map(() => '');
+                allRows.filter(row => row.synthetic).forEach(row => {
+                    writer.add(toLine(blankCells.concat(resultCells(row))));
+                });
+
+                const resultsFileIds = writer.finish();
+
+                log.audit('Results File Saved', 'File ID(s): ' + resultsFileIds.join(', ') + ', Lines: ' + writer.getLineCount());
+
+                return resultsFileIds;
+
+            } catch (e) {
+                log.error('Results File Error', e.toString());
+                return [];
+            }
+        }
+
+        /**
+         * Collect CSV lines into parts and save each part once it is full
+         * Returns { setHeader(line), add(line), finish() -> file IDs, getLineCount() }
+         * finish() also deletes parts left over from an earlier, longer results file
+         */
+        function createPartWriter(baseName, folderId) {
+            const fileIds = [];
+            let header = '';
+            let lines = [];
+            let length = 0;
+            let lineCount = 0;
+
+            const save = function() {
+                const resultsFile = file.create({
+                    name: getPartName(baseName, fileIds.length + 1),
+                    fileType: file.Type.CSV,
+                    contents: [header].concat(lines).join('\r\n'),
+                    folder: folderId
+                });
+                fileIds.push(resultsFile.save());
+                lines = [];
+                length = header.length;
+            };
+
+            return {
+                setHeader: function(line) {
+                    header = line;
+                    length = line.length;
+                },
+                add: function(line) {
+                    if (lines.length > 0 && length + line.length + 2 > stagingLib.MAX_PART_LENGTH) {
+                        save();
+                    }
+                    lines.push(line);
+                    length += line.length + 2;
+                    lineCount++;
+                },
+                finish: function() {
+                    if (lines.length > 0 || fileIds.length === 0) {
+                        save();
+                    }
+                    removeExtraParts(baseName, folderId, fileIds.length);
+                    return fileIds;
+                },
+                getLineCount: function() {
+                    return lineCount;
+                }
+            };
+        }
+
+        /**
+         * Delete results parts numbered above partCount
+         */
+        function removeExtraParts(baseName, folderId, partCount) {
+            search.create({
+                type: 'file',
+                filters: [
+                    ['name', 'startswith', baseName + '_'],
+                    'AND',
+                    ['folder', 'anyof', folderId]
+                ],
+                columns: ['name']
+            }).run().each(function(result) {
+                const name = result.getValue({ name: 'name' });
+                const match = /_(\d+)\.csv$/.exec(name);
+                const partNumber = match ? parseInt(match[1], 10) : 0;
+
+                if (partNumber > partCount && name === getPartName(baseName, partNumber)) {
+                    try {
+                        file.delete({ id: result.id });
+                    } catch (e) {
+                        log.error('Results Part Delete Failed', 'File: ' + name + ', Error: ' + e.toString());
+                    }
+                }
+                return true;
+            });
+        }
+
+        /**
+         * File name of a results part (part 1 keeps the plain _results.csv name)
+         */
+        function getPartName(baseName, partNumber) {
+            return partNumber > 1 ? baseName + '_' + partNumber + '.csv' : baseName + '.csv';
+        }
+
+        /**
+         * One CSV line from cell values
+         */
+        function toLine(cells) {
+            return csvLib.stringify([cells]);
+        }
+
+        return {
+            writeResultsFile: writeResultsFile
+        };
+    });
@@ -0,0 +1,306 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Revision Library
+ *
+ * Purpose: Compare a file's components with an existing BOM revision, and name the revision
+ * that carries the changes
+ *
+ * Used when a prospect sends an updated BOM and the Existing BOM Revisions option is set to
+ * create a new revision or update in place (see REVISION_UPDATE_MODE). Components are matched
+ * by item internal ID; an item's quantities and line columns (memo, reference designators, yield,
+ * item source, units) are each compared as a set, so an item kept on separate lines (Duplicate
+ * Components policy) changes only if one of its lines does. A line column the file leaves blank
+ * keeps the revision's value (fillBlankLineFields), so it is neither compared nor lost when the
+ * item's lines are written again.
+ */
+
+define(['./item_bom_component_lib'],
+    function(componentLib) {
+
+        // What to do when an assembly's revision already exists
+        const REVISION_UPDATE_MODE = {
+            SKIP: 'skip',
+            NEW_REVISION: 'newRevision',
+            IN_PLACE: 'inPlace'
+        };
+
+        /**
+         * Compare current revision lines with the file's components
+         * currentLines: [{ line, internalId, itemName, quantity, lineFields }] from the revision's
+         * component sublist (lineFields: text by line column, as in componentLib.LINE_FIELDS)
+         * components: [{ itemId, internalId, quantity, bomFields }] from the file
+         * Returns {
+         *   added: [{ itemId, internalId, quantities }],
+         *   removed: [{ itemName, internalId, lines, quantities }],
+         *   changed: [{ itemId, internalId, lines, from, to, fields }] - from/to are quantities,
+         *     fields the labels of line columns that differ,
+         *   hasChanges
+         * }
+         */
+        function diffComponents(currentLines, components) {
+            const current = groupByItem(currentLines);
+            const incoming = groupByItem(components);
+
+            const added = [];
+            const changed = [];
+            const removed = [];
+
+            Object.keys(incoming).forEach(internalId => {
+                const toQuantities = incoming[internalId].map(component => Number(component.quantity)).sort(compareNumbers);
+                const itemId = incoming[internalId][0].itemId;
+
+                if (!current[internalId]) {
+                    added.push({ itemId: itemId, internalId: internalId, quantities: toQuantities });
+                    return;
+                }
+
+                const fromQuantities = current[internalId].map(line => Number(line.quantity)).sort(compareNumbers);
+                const fields = diffLineFields(current[internalId], incoming[internalId]);
+                if (fromQuantities.join(',') !== toQuantities.join(',') || fields.length > 0) {
+                    changed.push({
+                        itemId: itemId,
+                        internalId: internalId,
+                        lines: current[internalId].map(line => line.line),
+                        from: fromQuantities,
+                        to: toQuantities,
+                        fields: fields
+                    });
+                }
+            });
+
+            Object.keys(current).forEach(internalId => {
+                if (incoming[internalId]) return;
+
+                removed.push({
+                    itemName: current[internalId][0].itemName,
+                    internalId: internalId,
+                    lines: current[internalId].map(line => line.line),
+                    quantities: current[internalId].map(line => Number(line.quantity))
+                });
+            });
+
+            return {
+                added: added,
+                removed: removed,
+                changed: changed,
+                hasChanges: added.length + removed.length + changed.length > 0
+            };
+        }
+
+        /**
+         * The file's components with blank line columns filled from the revision's lines for the same
+         * item, matched in line order (the first component of an item takes the item's first line)
+         * Returns new component objects; components without a matching line are unchanged
+         */
+        function fillBlankLineFields(components, currentLines) {
+            const current = groupByItem(currentLines);
+            const seen = {};
+
+            return components.map(component => {
+                const key = String(component.internalId);
+                const index = seen[key] || 0;
+                seen[key] = index + 1;
+
+                const line = (current[key] || [])[index];
+                if (!line) return component;
+
+                const bomFields = Object.assign({}, component.bomFields);
+                Object.keys(componentLib.LINE_FIELDS).forEach(fieldName => {
+                    const currentValue = (line.lineFields || {})[fieldName];
+                    if (isBlank(bomFields[fieldName]) && !isBlank(currentValue)) {
+                        bomFields[fieldName] = String(currentValue);
+                    }
+                });
+
+                return Object.assign({}, component, { bomFields: bomFields });
+            });
+        }
+
+        /**
+         * Labels of the line columns that differ between an item's revision lines and file components
+         * Only columns the file fills for the item are compared, by their non-blank values
+         */
+        function diffLineFields(currentLines, components) {
+            const labels = [];
+
+            Object.keys(componentLib.LINE_FIELDS).forEach(fieldName => {
+                const toValues = components
+                    .map(component => normalizeLineValue(fieldName, (component.bomFields || {})[fieldName]))
+                    .filter(Boolean);
+                if (toValues.length === 0) return;
+
+                const fromValues = currentLines
+                    .map(line => normalizeLineValue(fieldName, (line.lineFields || {})[fieldName]))
+                    .filter(Boolean);
+                if (fromValues.sort().join('|') !== toValues.sort().join('|')) {
+                    labels.push(componentLib.LINE_FIELDS[fieldName].label);
+                }
+            });
+
+            return labels;
+        }
+
+        /**
+         * Comparable form of a line value: converted as it would be written, designators sorted,
+         * units ignoring case; a value that will not convert is compared as written
+         */
+        function normalizeLineValue(fieldName, text) {
+            if (isBlank(text)) return '';
+
+            let value;
+            try {
+                value = String(componentLib.parseLineValue(fieldName, text));
+            } catch (e) {
+                value = String(text).trim();
+            }
+
+            if (fieldName === 'refdes') {
+                return value.split(', ').sort().join(', ');
+            }
+            if (fieldName === 'units') {
+                return value.toLowerCase();
+            }
+            return value;
+        }
+
+        /**
+         * One-line summary of a diff: "Added: R5 x 2; Removed: C3; Quantity: U1 1 -> 2; Line fields: U2 (Component Yield)"
+         */
+        function describeChanges(diff) {
+            const parts = [];
+
+            if (diff.added.length > 0) {
+                parts.push('Added: ' + diff.added.map(item => item.itemId + ' x ' + item.quantities.join('+')).join(', '));
+            }
+            if (diff.removed.length > 0) {
+                parts.push('Removed: ' + diff.removed.map(item => item.itemName).join(', '));
+            }
+            const quantityChanged = diff.changed.filter(item => item.from.join(',') !== item.to.join(','));
+            if (quantityChanged.length > 0) {
+                parts.push('Quantity: ' + quantityChanged.map(item =>
+                    item.itemId + ' ' + item.from.join('+') + ' -> ' + item.to.join('+')
+                ).join(', '));
+            }
+            const fieldsChanged = diff.changed.filter(item => item.fields.length > 0);
+            if (fieldsChanged.length > 0) {
+                parts.push('Line fields: ' + fieldsChanged.map(item =>
+                    item.itemId + ' (' + item.fields.join(', ') + ')'
+                ).join(', '));
+            }
+
+            return parts.join('; ');
+        }
+
+        /**
+         * Next free revision code after a code: A -> B, Z -> AA, 02 -> 03, B1 -> B2
+         * takenCodes: codes already used by the BOM's revisions
+         */
+        function nextRevisionCode(code, takenCodes) {
+            const taken = new Set(takenCodes.map(taken => String(taken).toUpperCase()));
+            let next = incrementCode(code);
+
+            while (taken.has(next.toUpperCase())) {
+                next = incrementCode(next);
+            }
+
+            return next;
+        }
+
+        /**
+         * Latest code in the series that starts at a code: each next code (A -> B -> C) while it is taken
+         * takenCodes: codes already used by the BOM's revisions
+         */
+        function latestRevisionCode(code, takenCodes) {
+            const taken = new Set(takenCodes.map(taken => String(taken).toUpperCase()));
+            let latest = code;
+            let next = incrementCode(code);
+
+            while (taken.has(next.toUpperCase())) {
+                latest = next;
+                next = incrementCode(next);
+            }
+
+            return latest;
+        }
+
+        /**
+         * Increment the trailing number or letters of a code (a code ending in neither gets "1")
+         */
+        function incrementCode(code) {
+            const number = /^(.*?)(\d+)$/.exec(code);
+            if (number) {
+                const next = String(parseInt(number[2], 10) + 1);
+                const padding = Math.max(0, number[2].length - next.length);
+                return number[1] + '0'.repeat(padding) + next;
+            }
+
+            const letters = /^(.*?)([A-Za-z]+)$/.exec(code);
+            if (letters) {
+                return letters[1] + incrementLetters(letters[2]);
+            }
+
+            return code + '1';
+        }
+
+        /**
+         * Increment letters like spreadsheet columns, keeping the case of the last letter
+         */
+        function incrementLetters(letters) {
+            const lowerCase = letters.charAt(letters.length - 1) === letters.charAt(letters.length - 1).toLowerCase();
+            const chars = letters.toUpperCase().split('');
+
+            let index = chars.length - 1;
+            while (index >= 0 && chars[index] === 'Z') {
+                chars[index] = 'A';
+                index--;
+            }
+            if (index < 0) {
+                chars.unshift('A');
+            } else {
+                chars[index] = String.fromCharCode(chars[index].charCodeAt(0) + 1);
+            }
+
+            const result = chars.join('');
+            return lowerCase ? result.toLowerCase() : result;
+        }
+
+        /**
+         * Group lines or components by item internal ID
+         */
+        function groupByItem(lines) {
+            const groups = {};
+            lines.forEach(line => {
+                const key = String(line.internalId);
+                groups[key] = groups[key] || [];
+                groups[key].push(line);
+            });
+            return groups;
+        }
+
+        /**
+         * True for an empty cell or line value
+         */
+        function isBlank(value) {
+            return value === undefined || value === null || String(value).trim() === '';
+        }
+
+        /**
+         * Numeric sort comparator
+         */
+        function compareNumbers(a, b) {
+            return a - b;
+        }
+
+        return {
+            REVISION_UPDATE_MODE: REVISION_UPDATE_MODE,
+            diffComponents: diffComponents,
+            fillBlankLineFields: fillBlankLineFields,
+            describeChanges: describeChanges,
+            nextRevisionCode: nextRevisionCode,
+            latestRevisionCode: latestRevisionCode
+        };
+    });
@@ -0,0 +1,302 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Rows Library
+ *
+ * Purpose: Build the import row model from a parsed file and the column mappings, so the
+ * Map/Reduce import and the Suitelet's Validate Only report work from the same rows
+ *
+ * Steps:
+ * 1. Map cells to item fields, BOM fields (quantity and component line columns), vendor, and
+ *    the structure column
+ * 2. Build hierarchy paths (normalize, or derive from Level / Parent Item)
+ * 3. Drop rows without a hierarchy or item ID, recording why
+ * 4. Resolve each row's record type (structure, Item Type column, and the lot/serial tracking
+ *    rule in Item Defaults) and find its parent hierarchy
+ *
+ * Shared subassemblies: an item ID that has children anywhere in the file is an assembly
+ * everywhere, so a repeat can be written as just its part number (a reference row). Every
+ * occurrence with children must list the same components - see groupAssemblies.
+ */
+
+define(['./item_bom_hierarchy_lib', './item_bom_itemtype_lib', './item_bom_component_lib'],
+    function(hierarchyLib, itemTypeLib, componentLib) {
+
+        // Structure column modes, by mapped field
+        const STRUCTURE = {
+            HIERARCHY: 'hierarchy',
+            LEVEL: 'level',
+            PARENT: 'parent'
+        };
+
+        /**
+         * Build classified rows from parsed file data
+         * parsedData: { rows: [{ rowNumber, cells }] } from fileLib
+         * Returns {
+         *   rows: classified rows with hierarchy, itemid, and rowKey (unique per row - a file row
+         *     placed more than once, or a synthetic root, has its own key; see parentRefsToHierarchy),
+         *   dropped: [{ rowNumber, message }] - rows left out of the import,
+         *   warnings: [{ rowNumber, message }] - Level / Parent Item structure warnings,
+         *   hierarchyChanges: [{ rowNumber, from, to }] - hierarchy values rewritten by normalization
+         * }
+         * Throws if Parent Item references form a cycle
+         */
+        function buildRows(config, parsedData) {
+            const mode = getStructureMode(config.mappings);
+            const mappedRows = parsedData.rows.map(row => mapRow(config.mappings, row));
+
+            const structure = buildHierarchy(mode, mappedRows);
+            const rows = structure.rows.filter(row => row.hierarchy && row.itemFields.itemid);
+            rows.forEach(row => {
+                row.rowKey = row.rowKey || String(row.rowNumber);
+            });
+
+            classifyRows(rows, (config.defaults || {}).tracking);
+
+            return {
+                rows: rows,
+                dropped: findDroppedRows(mode, mappedRows, rows, structure.warnings),
+                warnings: structure.warnings,
+                hierarchyChanges: structure.hierarchyChanges
+            };
+        }
+
+        /**
+         * Which structure column is mapped (hierarchy if none is)
+         */
+        function getStructureMode(mappings) {
+            const mappedFields = Object.keys(mappings).map(colIndex => mappings[colIndex]);
+
+            if (mappedFields.includes(STRUCTURE.LEVEL)) return STRUCTURE.LEVEL;
+            if (mappedFields.includes(STRUCTURE.PARENT)) return STRUCTURE.PARENT;
+            return STRUCTURE.HIERARCHY;
+        }
+
+        /**
+         * Map one parsed row to item fields, BOM fields, and structure values
+         */
+        function mapRow(mappings, row) {
+            const mapped = {
+                rowNumber: row.rowNumber,
+                hierarchy: null,
+                itemFields: {},
+                bomFields: {},
+                vendorName: null
+            };
+
+            Object.keys(mappings).forEach(colIndex => {
+                const fieldName = mappings[colIndex];
+                const value = row.cells[parseInt(colIndex)] || '';
+
+                if (!value.trim()) return;
+
+                if (fieldName === 'hierarchy') {
+                    mapped.hierarchy = value.trim();
+                } else if (fieldName === 'level') {
+                    mapped.level = value.trim();
+                } else if (fieldName === 'parent') {
+                    mapped.parentItemId = value.trim();
+                } else if (fieldName === 'itemtype') {
+                    mapped.itemTypeValue = value.trim();
+                } else if (fieldName === 'revision') {
+                    // BOM revision code - used on assembly rows
+                    mapped.revision = value.trim();
+                } else if (fieldName === 'quantity') {
+                    mapped.bomFields.quantity = parseFloat(value) || 1;
+                } else if (componentLib.isLineField(fieldName)) {
+                    // Component line column - converted when the BOM revision line is written
+                    mapped.bomFields[fieldName] = value.trim();
+                } else if (fieldName === 'vendor') {
+                    mapped.vendorName = value.trim();
+                } else if (fieldName === 'displayname') {
+                    // Map to all three description fields
+                    mapped.itemFields.displayname = value.trim();
+                    mapped.itemFields.salesdescription = value.trim();
+                    mapped.itemFields.purchasedescription = value.trim();
+                } else {
+                    // Item field
+                    mapped.itemFields[fieldName] = value.trim();
+                }
+            });
+
+            // No quantity for the row - one per reference designator
+            if (mapped.bomFields.quantity === undefined && mapped.bomFields.refdes) {
+                mapped.bomFields.quantity = componentLib.expandDesignators(mapped.bomFields.refdes).designators.length || 1;
+            }
+
+            return mapped;
+        }
+
+        /**
+         * Build hierarchy paths for classification
+         * Only rows with an item ID take part, since the others are dropped before classification
+         * Returns { rows, warnings, hierarchyChanges } - parent/child rows come back in tree order
+         */
+        function buildHierarchy(mode, mappedRows) {
+            const itemRows = mappedRows.filter(row => row.itemFields.itemid);
+
+            if (mode === STRUCTURE.LEVEL) {
+                return { rows: mappedRows, warnings: hierarchyLib.levelsToHierarchy(itemRows), hierarchyChanges: [] };
+            }
+
+            if (mode === STRUCTURE.PARENT) {
+                const result = hierarchyLib.parentRefsToHierarchy(mappedRows);
+                return { rows: result.rows, warnings: result.warnings, hierarchyChanges: [] };
+            }
+
+            return { rows: mappedRows, warnings: [], hierarchyChanges: hierarchyLib.normalizeHierarchies(itemRows) };
+        }
+
+        /**
+         * Find the mapped rows that did not make it into the import, with the reason
+         */
+        function findDroppedRows(mode, mappedRows, rows, warnings) {
+            const keptRowNumbers = new Set(rows.map(row => row.rowNumber));
+            const warningByRow = {};
+            warnings.forEach(warning => {
+                warningByRow[warning.rowNumber] = warningByRow[warning.rowNumber] || warning.message;
+            });
+
+            const dropped = [];
+            mappedRows.forEach(row => {
+                if (keptRowNumbers.has(row.rowNumber)) return;
+
+                let message;
+                if (!row.itemFields.itemid) {
+                    message = 'Item ID is empty';
+                } else if (warningByRow[row.rowNumber]) {
+                    message = warningByRow[row.rowNumber];
+                } else if (mode === STRUCTURE.LEVEL) {
+                    message = 'Level is empty or not a whole number';
+                } else {
+                    message = 'Hierarchy is empty';
+                }
+
+                dropped.push({ rowNumber: row.rowNumber, message: message });
+            });
+
+            return dropped;
+        }
+
+        /**
+         * Set recordType, isAssembly, isKit, isReference, typeError, mrpRotationIndex, and
+         * parentHierarchy on each row
+         * A row has children if any other hierarchy starts with its own + "."; a row without children
+         * whose item ID has children elsewhere is a reference to that assembly (isReference)
+         * isAssembly marks assembly items (references included); a row whose Item Type does not fit the structure
+         * gets typeError and is failed by the import
+         * tracking: lot/serial rule for rows without an Item Type (see itemTypeLib.getTrackingRule)
+         */
+        function classifyRows(rows, tracking) {
+            // Hierarchies with something below them: every ancestor of every row's hierarchy
+            const ancestors = new Set();
+            rows.forEach(row => {
+                const parts = row.hierarchy.split('.');
+                for (let depth = 1; depth < parts.length; depth++) {
+                    ancestors.add(parts.slice(0, depth).join('.'));
+                }
+            });
+
+            const ownChildren = rows.map(row => ancestors.has(row.hierarchy));
+            const parentItemIds = new Set(rows.filter((row, index) => ownChildren[index]).map(row => row.itemFields.itemid));
+
+            // Track inventory item index for MRP rotation
+            let inventoryIndex = 0;
+
+            rows.forEach((row, index) => {
+                row.isReference = !ownChildren[index] && parentItemIds.has(row.itemFields.itemid);
+                const hasChildren = ownChildren[index] || row.isReference;
+                const isTopLevel = row.hierarchy.indexOf('.') < 0;
+                const itemTypeValue = row.itemTypeValue || itemTypeLib.getTrackingRule(tracking, hasChildren, isTopLevel);
+                const itemType = itemTypeLib.resolveItemType(itemTypeValue, hasChildren);
+
+                row.recordType = itemType.recordType;
+                row.itemSubtype = itemType.subtype;
+                row.typeError = itemType.error;
+                row.isAssembly = !itemType.error && itemTypeLib.isAssemblyType(itemType.recordType);
+                row.isKit = !itemType.error && itemType.recordType === 'kititem';
+
+                // Assign MRP rotation index for inventory items
+                if (!row.isAssembly) {
+                    row.mrpRotationIndex = inventoryIndex++;
+                }
+
+                // Determine parent hierarchy
+                const parts = row.hierarchy.split('.');
+                if (parts.length > 1) {
+                    parts.pop();
+                    row.parentHierarchy = parts.join('.');
+                } else {
+                    row.parentHierarchy = null;
+                }
+            });
+        }
+
+        /**
+         * Group assembly rows by item ID, so each assembly gets one BOM however often it appears
+         * Returns [{ itemId, rows, references, children, conflict }] in file order:
+         *   rows - occurrences with children; the first one defines the BOM
+         *   references - occurrences written without children
+         *   children - the first occurrence's direct child rows
+         *   conflict - message when occurrences list different components (item ID x quantity), else null
+         */
+        function groupAssemblies(rows) {
+            const childrenByParent = {};
+            rows.forEach(row => {
+                if (!row.parentHierarchy) return;
+                childrenByParent[row.parentHierarchy] = childrenByParent[row.parentHierarchy] || [];
+                childrenByParent[row.parentHierarchy].push(row);
+            });
+
+            const groupsByItem = {};
+            const groups = [];
+            rows.filter(row => row.isAssembly).forEach(row => {
+                const itemId = row.itemFields.itemid;
+                if (!groupsByItem[itemId]) {
+                    groupsByItem[itemId] = { itemId: itemId, rows: [], references: [], children: [], conflict: null };
+                    groups.push(groupsByItem[itemId]);
+                }
+                if (row.isReference) {
+                    groupsByItem[itemId].references.push(row);
+                } else {
+                    groupsByItem[itemId].rows.push(row);
+                }
+            });
+
+            groups.forEach(group => {
+                if (group.rows.length === 0) return;
+
+                group.children = childrenByParent[group.rows[0].hierarchy] || [];
+
+                const signatures = {};
+                group.rows.forEach(row => {
+                    const signature = (childrenByParent[row.hierarchy] || [])
+                        .map(child => child.itemFields.itemid + ' x ' + (child.bomFields.quantity || 1))
+                        .sort()
+                        .join(', ');
+                    if (!signatures[signature]) {
+                        signatures[signature] = row.rowNumber;
+                    }
+                });
+
+                const variants = Object.keys(signatures);
+                if (variants.length > 1) {
+                    group.conflict = group.itemId + ' has ' + variants.length + ' different component lists: ' +
+                        variants.map(signature => 'row ' + signatures[signature] + ' [' + signature + ']').join('; ');
+                }
+            });
+
+            return groups.filter(group => group.rows.length > 0);
+        }
+
+        return {
+            STRUCTURE: STRUCTURE,
+            buildRows: buildRows,
+            groupAssemblies: groupAssemblies,
+            getStructureMode: getStructureMode,
+            mapRow: mapRow
+        };
+    });
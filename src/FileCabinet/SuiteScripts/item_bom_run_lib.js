@@ -0,0 +1,681 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Run Library
+ *
+ * Purpose: Persist each import run and its per-row outcomes so they outlive the execution log
+ *
+ * Records (see src/Objects):
+ * - customrecord_bom_import_run: one per import (prospect, files, task ID, times, totals)
+ * - customrecord_bom_import_row: one per item, BOM, or BOM revision processed (child of the run)
+ *
+ * The Suitelet creates the run before submitting the Map/Reduce task; the Map/Reduce
+ * records start/end times, row results, and totals. The status page reads progress
+ * from the row results, so counts stay exact while reduce invocations run in parallel.
+ *
+ * One import per prospect at a time:
+ * - The Suitelet will not start a run while another run for the prospect or the Map/Reduce
+ *   deployment is queued or processing (findActiveRun)
+ * - The item stage Map/Reduce takes a lock for the prospect in getInputData and the BOM stage's
+ *   summarize releases it (acquireLock / releaseLock). The lock is the run record's external ID, which is unique,
+ *   so only one run can hold it. A run whose task has ended no longer counts as active; it is
+ *   marked Failed and its lock released only by an explicit step - expireStaleRuns before a new
+ *   run starts, or acquireLock taking the lock over. Status checks (isRunActive) write nothing.
+ * - A run left in BOM Stage Pending can start its BOM stage only while no newer run for the
+ *   prospect exists (findNewerRun), so BOMs are never rebuilt from an older file
+ */
+
+define(['N/record', 'N/search', 'N/task', 'N/format', 'N/file', 'N/runtime'],
+    function(record, search, task, format, file, runtime) {
+
+        const RUN_RECORD_TYPE = 'customrecord_bom_import_run';
+        const ROW_RECORD_TYPE = 'customrecord_bom_import_row';
+
+        const RUN_FIELDS = {
+            prospectName: 'custrecord_bomrun_prospect',
+            csvFileId: 'custrecord_bomrun_csv_file',
+            configFileId: 'custrecord_bomrun_config_file',
+            taskId: 'custrecord_bomrun_task_id',
+            bomTaskId: 'custrecord_bomrun_bom_task_id',
+            deploymentId: 'custrecord_bomrun_deployment',
+            status: 'custrecord_bomrun_status',
+            startTime: 'custrecord_bomrun_start',
+            endTime: 'custrecord_bomrun_end',
+            totalRows: 'custrecord_bomrun_total_rows',
+            itemsCreated: 'custrecord_bomrun_items_created',
+            itemsSkipped: 'custrecord_bomrun_items_skipped',
+            itemsFailed: 'custrecord_bomrun_items_failed',
+            bomsCreated: 'custrecord_bomrun_boms_created',
+            bomsFailed: 'custrecord_bomrun_boms_failed',
+            revisionsCreated: 'custrecord_bomrun_revs_created',
+            revisionsUpdated: 'custrecord_bomrun_revs_updated',
+            revisionsFailed: 'custrecord_bomrun_revs_failed',
+            resultsFileId: 'custrecord_bomrun_results_file',
+            resultsFileIds: 'custrecord_bomrun_results_parts',
+            governance: 'custrecord_bomrun_governance'
+        };
+
+        const ROW_FIELDS = {
+            runId: 'custrecord_bomrow_run',
+            rowNumber: 'custrecord_bomrow_row_number',
+            itemId: 'custrecord_bomrow_itemid',
+            recordType: 'custrecord_bomrow_record_type',
+            internalId: 'custrecord_bomrow_internal_id',
+            action: 'custrecord_bomrow_action',
+            error: 'custrecord_bomrow_error'
+        };
+
+        const RUN_STATUS = {
+            QUEUED: 'Queued',
+            PROCESSING: 'Processing',
+            COMPLETE: 'Complete',
+            FAILED: 'Failed',
+            // Items done, BOM stage not started - can be started again from the status page
+            BOM_PENDING: 'BOM Stage Pending'
+        };
+
+        // BOM stage Map/Reduce shipped in src/Objects, used when no script parameters override it
+        const BOM_STAGE = {
+            scriptId: 'customscript_item_bom_create_bom_mr',
+            deploymentId: 'customdeploy_item_bom_create_bom_mr'
+        };
+
+        // Row result actions
+        const ACTION = {
+            CREATED: 'created',
+            SKIPPED: 'skipped',
+            UPDATED: 'updated',
+            FAILED: 'failed'
+        };
+
+        // Maximum length of the error text stored on a row result
+        const MAX_ERROR_LENGTH = 3900;
+
+        // External ID prefixes: the prospect lock, and a run that holds no lock
+        const LOCK_PREFIX = 'BOM_IMPORT_LOCK_';
+        const RUN_PREFIX = 'BOM_IMPORT_RUN_';
+
+        // A queued run without a task ID is abandoned after this long (the task was never submitted)
+        const UNSUBMITTED_RUN_MINUTES = 15;
+
+        // Row result records saved by this script invocation and the units they used
+        let rowResultUsage = { records: 0, units: 0 };
+
+        // Item Defaults fallbacks, for configs saved without a setting (see applyDefaults)
+        const DEFAULT_CONFIG = {
+            locationIds: [2, 13],
+            subsidiaryId: 2,  // USA subsidiary
+            vendorId: 625,
+            purchasePrice: 1,
+            taxScheduleId: 1,
+            setupMRP: true,
+            createVendors: false,
+            duplicateComponents: 'separate',
+            revisionUpdateMode: 'skip',
+            revisionStartDate: '',
+            revisionEndDate: '',
+            itemLocationDefaults: {
+                preferredstocklevel: 1000,
+                reorderpoint: 600,
+                safetystocklevel: 100,
+                leadtime: 7
+            }
+        };
+
+        // Run settings already loaded in this script execution, by config file ID
+        const runSettingsCache = {};
+
+        /**
+         * Create a run record and return its internal ID
+         */
+        function createRun(values) {
+            const runRec = record.create({ type: RUN_RECORD_TYPE });
+
+            runRec.setValue({
+                fieldId: 'name',
+                value: (values.prospectName || 'BOM Import') + ' - ' + new Date().toISOString()
+            });
+            setRunValues(runRec, Object.assign({ status: RUN_STATUS.QUEUED }, values));
+
+            const runId = runRec.save();
+            log.audit('Import Run Created', 'Run ID: ' + runId);
+
+            return runId;
+        }
+
+        /**
+         * Update fields on a run record (values keyed by RUN_FIELDS names)
+         */
+        function updateRun(runId, values) {
+            if (!runId) return;
+
+            try {
+                const runRec = record.load({ type: RUN_RECORD_TYPE, id: runId });
+                setRunValues(runRec, values);
+                runRec.save();
+            } catch (e) {
+                log.error('Import Run Update Error', 'Run ID: ' + runId + ', Error: ' + e.toString());
+            }
+        }
+
+        /**
+         * Set run values on a loaded or new run record
+         */
+        function setRunValues(runRec, values) {
+            Object.keys(values).forEach(name => {
+                const fieldId = RUN_FIELDS[name];
+                if (fieldId && values[name] !== undefined && values[name] !== null) {
+                    runRec.setValue({ fieldId: fieldId, value: values[name] });
+                }
+            });
+        }
+
+        /**
+         * Load run values (keyed by RUN_FIELDS names), or null if the run cannot be loaded
+         */
+        function getRun(runId) {
+            if (!runId) return null;
+
+            try {
+                const runRec = record.load({ type: RUN_RECORD_TYPE, id: runId });
+                const run = { id: runId };
+                Object.keys(RUN_FIELDS).forEach(name => {
+                    run[name] = runRec.getValue({ fieldId: RUN_FIELDS[name] });
+                });
+                return run;
+            } catch (e) {
+                log.debug('Import Run Load Warning', 'Run ID: ' + runId + ', Error: ' + e.toString());
+                return null;
+            }
+        }
+
+        /**
+         * Write one row result under a run
+         * result: { rowNumber, itemId, recordType, internalId, action, error }
+         * The record and its units are tallied for the governance report
+         */
+        function addRowResult(runId, result) {
+            if (!runId) return null;
+
+            const scriptObj = runtime.getCurrentScript();
+            const startingUsage = scriptObj.getRemainingUsage();
+
+            try {
+                const rowRec = record.create({ type: ROW_RECORD_TYPE });
+
+                rowRec.setValue({ fieldId: 'name', value: String(result.itemId || ('row_' + result.rowNumber)).substring(0, 300) });
+                rowRec.setValue({ fieldId: ROW_FIELDS.runId, value: runId });
+
+                if (result.rowNumber) {
+                    rowRec.setValue({ fieldId: ROW_FIELDS.rowNumber, value: result.rowNumber });
+                }
+                if (result.itemId) {
+                    rowRec.setValue({ fieldId: ROW_FIELDS.itemId, value: String(result.itemId).substring(0, 300) });
+                }
+                if (result.recordType) {
+                    rowRec.setValue({ fieldId: ROW_FIELDS.recordType, value: result.recordType });
+                }
+                if (result.internalId) {
+                    rowRec.setValue({ fieldId: ROW_FIELDS.internalId, value: String(result.internalId) });
+                }
+                rowRec.setValue({ fieldId: ROW_FIELDS.action, value: result.action });
+                if (result.error) {
+                    rowRec.setValue({ fieldId: ROW_FIELDS.error, value: String(result.error).substring(0, MAX_ERROR_LENGTH) });
+                }
+
+                const rowResultId = rowRec.save();
+                rowResultUsage.records++;
+                return rowResultId;
+
+            } catch (e) {
+                log.error('Row Result Error', 'Run ID: ' + runId + ', Row: ' + result.rowNumber + ', Error: ' + e.toString());
+                return null;
+            } finally {
+                rowResultUsage.units += startingUsage - scriptObj.getRemainingUsage();
+            }
+        }
+
+        /**
+         * Row result records saved and units used since the last call: { records, units }
+         * Called at the end of each reduce (and in summarize) and passed on for the governance report
+         */
+        function takeRowResultUsage() {
+            const usage = rowResultUsage;
+            rowResultUsage = { records: 0, units: 0 };
+            return usage;
+        }
+
+        /**
+         * Get progress counts for a run from its row results
+         * Returns null if the run cannot be loaded
+         */
+        function getProgress(runId) {
+            const run = getRun(runId);
+            if (!run) return null;
+
+            const progress = {
+                status: run.status,
+                totalRows: parseInt(run.totalRows) || 0,
+                itemsCreated: 0,
+                itemsSkipped: 0,
+                itemsFailed: 0,
+                bomsCreated: 0,
+                revisionsCreated: 0,
+                revisionsUpdated: 0,
+                resultsFileId: run.resultsFileId || null,
+                // Every part of a results file written in parts (the first is resultsFileId)
+                resultsFileIds: run.resultsFileIds ? String(run.resultsFileIds).split(',') : (run.resultsFileId ? [String(run.resultsFileId)] : []),
+                governance: run.governance || '',
+                bomTaskId: run.bomTaskId || null,
+                // Nothing more happens without the user (BOM Stage Pending waits for a restart)
+                complete: [RUN_STATUS.COMPLETE, RUN_STATUS.FAILED, RUN_STATUS.BOM_PENDING].indexOf(run.status) >= 0
+            };
+
+            try {
+                search.create({
+                    type: ROW_RECORD_TYPE,
+                    filters: [[ROW_FIELDS.runId, 'anyof', runId]],
+                    columns: [
+                        search.createColumn({ name: ROW_FIELDS.recordType, summary: search.Summary.GROUP }),
+                        search.createColumn({ name: ROW_FIELDS.action, summary: search.Summary.GROUP }),
+                        search.createColumn({ name: 'internalid', summary: search.Summary.COUNT })
+                    ]
+                }).run().each(function(result) {
+                    const recordType = result.getValue({ name: ROW_FIELDS.recordType, summary: search.Summary.GROUP });
+                    const action = result.getValue({ name: ROW_FIELDS.action, summary: search.Summary.GROUP });
+                    const count = parseInt(result.getValue({ name: 'internalid', summary: search.Summary.COUNT })) || 0;
+
+                    if (recordType === 'bom') {
+                        if (action === ACTION.CREATED) progress.bomsCreated += count;
+                    } else if (recordType === 'bomrevision') {
+                        if (action === ACTION.CREATED) progress.revisionsCreated += count;
+                        if (action === ACTION.UPDATED) progress.revisionsUpdated += count;
+                    } else if (action === ACTION.CREATED) {
+                        progress.itemsCreated += count;
+                    } else if (action === ACTION.SKIPPED) {
+                        progress.itemsSkipped += count;
+                    } else if (action === ACTION.FAILED) {
+                        progress.itemsFailed += count;
+                    }
+                    return true;
+                });
+            } catch (e) {
+                log.debug('Progress Search Warning', 'Run ID: ' + runId + ', Error: ' + e.toString());
+            }
+
+            return progress;
+        }
+
+        /**
+         * Find a queued or processing run for the prospect or the Map/Reduce deployment
+         * Runs whose task has ended (or was never submitted) are skipped
+         * Returns { id, prospectName, deploymentId, taskId, configFileId, status } or null
+         */
+        function findActiveRun(prospectName, deploymentId, excludeRunId) {
+            return findOpenRuns(prospectName, deploymentId, excludeRunId).find(run => isRunActive(run)) || null;
+        }
+
+        /**
+         * Mark Failed the queued or processing runs for the prospect or deployment whose task has ended,
+         * and release their locks
+         * Returns the number of runs expired
+         */
+        function expireStaleRuns(prospectName, deploymentId) {
+            const staleRuns = findOpenRuns(prospectName, deploymentId).filter(run => !isRunActive(run));
+            staleRuns.forEach(run => expireStaleRun(run));
+            return staleRuns.length;
+        }
+
+        /**
+         * The latest run for the prospect created after a run, or null: { id, status }
+         * A run left in BOM Stage Pending must not build BOMs from its older file once one exists
+         */
+        function findNewerRun(runId, prospectName) {
+            let newerRun = null;
+
+            search.create({
+                type: RUN_RECORD_TYPE,
+                filters: [
+                    [RUN_FIELDS.prospectName, 'is', prospectName],
+                    'AND',
+                    ['internalidnumber', 'greaterthan', runId]
+                ],
+                columns: [
+                    search.createColumn({ name: 'internalid', sort: search.Sort.DESC }),
+                    RUN_FIELDS.status
+                ]
+            }).run().each(function(result) {
+                newerRun = { id: result.id, status: result.getValue({ name: RUN_FIELDS.status }) };
+                return false;
+            });
+
+            return newerRun;
+        }
+
+        /**
+         * Queued or processing runs for the prospect or the Map/Reduce deployment
+         */
+        function findOpenRuns(prospectName, deploymentId, excludeRunId) {
+            const matchFilters = [[RUN_FIELDS.prospectName, 'is', prospectName]];
+            if (deploymentId) {
+                matchFilters.push('OR', [RUN_FIELDS.deploymentId, 'is', deploymentId]);
+            }
+
+            const candidates = [];
+            search.create({
+                type: RUN_RECORD_TYPE,
+                filters: [
+                    [[RUN_FIELDS.status, 'is', RUN_STATUS.QUEUED], 'OR', [RUN_FIELDS.status, 'is', RUN_STATUS.PROCESSING]],
+                    'AND',
+                    matchFilters
+                ],
+                columns: [
+                    RUN_FIELDS.prospectName,
+                    RUN_FIELDS.deploymentId,
+                    RUN_FIELDS.taskId,
+                    RUN_FIELDS.bomTaskId,
+                    RUN_FIELDS.configFileId,
+                    RUN_FIELDS.status,
+                    'created'
+                ]
+            }).run().each(function(result) {
+                if (String(result.id) === String(excludeRunId)) return true;
+
+                candidates.push({
+                    id: result.id,
+                    prospectName: result.getValue({ name: RUN_FIELDS.prospectName }),
+                    deploymentId: result.getValue({ name: RUN_FIELDS.deploymentId }),
+                    taskId: result.getValue({ name: RUN_FIELDS.taskId }),
+                    bomTaskId: result.getValue({ name: RUN_FIELDS.bomTaskId }),
+                    configFileId: result.getValue({ name: RUN_FIELDS.configFileId }),
+                    status: result.getValue({ name: RUN_FIELDS.status }),
+                    created: result.getValue({ name: 'created' })
+                });
+                return true;
+            });
+
+            return candidates;
+        }
+
+        /**
+         * True if a queued or processing run's task is still pending or running (the BOM stage task
+         * once the item stage has started it)
+         * Read only - see expireStaleRun for marking an ended run Failed
+         */
+        function isRunActive(run) {
+            if (run.status !== RUN_STATUS.QUEUED && run.status !== RUN_STATUS.PROCESSING) return false;
+
+            let active = true;
+
+            try {
+                const taskId = run.bomTaskId || run.taskId;
+                if (taskId) {
+                    const status = String(task.checkStatus({ taskId: taskId }).status);
+                    active = status !== String(task.TaskStatus.COMPLETE) && status !== String(task.TaskStatus.FAILED);
+                } else if (run.created) {
+                    const created = format.parse({ value: run.created, type: format.Type.DATETIME });
+                    active = Date.now() - created.getTime() < UNSUBMITTED_RUN_MINUTES * 60 * 1000;
+                }
+            } catch (e) {
+                // Treat as active - blocking a run is safer than overlapping one
+                log.debug('Run Status Check Warning', 'Run ID: ' + run.id + ', Error: ' + e.toString());
+            }
+
+            return active;
+        }
+
+        /**
+         * Clean up a run whose task has ended without finishing it: a queued or processing run is
+         * marked Failed, and the run's lock (if it holds one) is released
+         */
+        function expireStaleRun(run) {
+            if (run.status === RUN_STATUS.QUEUED || run.status === RUN_STATUS.PROCESSING) {
+                log.audit('Stale Import Run', 'Run ID: ' + run.id + ' (' + run.status + ') has no running task - marked Failed');
+                updateRun(run.id, { status: RUN_STATUS.FAILED, endTime: new Date() });
+            }
+            releaseLock(run.id);
+        }
+
+        /**
+         * BOM stage script and deployment IDs: the current script's custscript_bom_bom_mr_script_id /
+         * custscript_bom_bom_mr_deployment_id parameters, else the shipped BOM stage deployment
+         */
+        function getBOMStageDeployment(scriptObj) {
+            return {
+                scriptId: scriptObj.getParameter({ name: 'custscript_bom_bom_mr_script_id' }) || BOM_STAGE.scriptId,
+                deploymentId: scriptObj.getParameter({ name: 'custscript_bom_bom_mr_deployment_id' }) || BOM_STAGE.deploymentId
+            };
+        }
+
+        /**
+         * Submit the BOM stage Map/Reduce for a run's config file and return the task ID
+         * Throws if the task cannot be submitted
+         */
+        function submitBOMStage(configFileId, deployment) {
+            return task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: deployment.scriptId,
+                deploymentId: deployment.deploymentId,
+                params: {
+                    'custscript_bom_bom_config_file_id': configFileId
+                }
+            }).submit();
+        }
+
+        /**
+         * Fill in missing Item Defaults from DEFAULT_CONFIG
+         * Returns config.defaults (created if the config has none)
+         */
+        function applyDefaults(config) {
+            const defaults = config.defaults || Object.assign({}, DEFAULT_CONFIG);
+
+            // Ensure all required properties exist
+            defaults.locationIds = defaults.locationIds || DEFAULT_CONFIG.locationIds;
+            defaults.subsidiaryId = defaults.subsidiaryId || DEFAULT_CONFIG.subsidiaryId;
+            defaults.vendorId = defaults.vendorId !== undefined ? defaults.vendorId : DEFAULT_CONFIG.vendorId;
+            defaults.purchasePrice = defaults.purchasePrice || DEFAULT_CONFIG.purchasePrice;
+            defaults.taxScheduleId = defaults.taxScheduleId || DEFAULT_CONFIG.taxScheduleId;
+            defaults.setupMRP = defaults.setupMRP !== undefined ? defaults.setupMRP : DEFAULT_CONFIG.setupMRP;
+            defaults.createVendors = defaults.createVendors !== undefined ? defaults.createVendors : DEFAULT_CONFIG.createVendors;
+            defaults.duplicateComponents = defaults.duplicateComponents || DEFAULT_CONFIG.duplicateComponents;
+            defaults.revisionUpdateMode = defaults.revisionUpdateMode || DEFAULT_CONFIG.revisionUpdateMode;
+            defaults.revisionStartDate = defaults.revisionStartDate || DEFAULT_CONFIG.revisionStartDate;
+            defaults.revisionEndDate = defaults.revisionEndDate || DEFAULT_CONFIG.revisionEndDate;
+            defaults.itemLocationDefaults = defaults.itemLocationDefaults || DEFAULT_CONFIG.itemLocationDefaults;
+
+            config.defaults = defaults;
+            return defaults;
+        }
+
+        /**
+         * Run-wide settings for the Map/Reduce stages, loaded from the run config once per script
+         * execution: { runId, prospectName, defaults, fieldTypes, planningItemCategoryId, vendorCache }
+         * Both stages get the same Item Defaults (applyDefaults)
+         */
+        function getRunSettings(configFileId) {
+            if (!runSettingsCache[configFileId]) {
+                const config = JSON.parse(file.load({ id: configFileId }).getContents());
+
+                runSettingsCache[configFileId] = {
+                    runId: config.runId || null,
+                    prospectName: config.prospectName,
+                    defaults: applyDefaults(config),
+                    fieldTypes: config.fieldTypes || {},
+                    planningItemCategoryId: config.planningItemCategoryId || null,
+                    vendorCache: config.vendorCache || {}
+                };
+            }
+            return runSettingsCache[configFileId];
+        }
+
+        /**
+         * Log a Map/Reduce's getInputData, map, and reduce errors (from the summarize context)
+         */
+        function logStageErrors(context) {
+            if (context.inputSummary.error) {
+                log.error('INPUT Error', context.inputSummary.error);
+            }
+
+            context.mapSummary.errors.iterator().each(function(key, error) {
+                log.error('MAP Error', 'Key: ' + key + ', Error: ' + error);
+                return true;
+            });
+
+            context.reduceSummary.errors.iterator().each(function(key, error) {
+                log.error('REDUCE Error', 'Key: ' + key + ', Error: ' + error);
+                return true;
+            });
+        }
+
+        /**
+         * Governance units used per stage of a Map/Reduce, for the run summary:
+         * "getInputData: 85 units; map: 40 units; reduce: 9120 units (3 yields); summarize: 610 units;
+         * row results: 412 records, 1648 units"
+         * context: the summarize context; summarizeUsage: units summarize has used so far
+         * rowResults: { records, units } written by the stage (included in the stage totals above)
+         */
+        function buildGovernanceReport(context, summarizeUsage, rowResults) {
+            const stages = [
+                { name: 'getInputData', usage: context.inputSummary.usage },
+                { name: 'map', usage: context.mapSummary.usage, yields: context.mapSummary.yields },
+                { name: 'reduce', usage: context.reduceSummary.usage, yields: context.reduceSummary.yields },
+                { name: 'summarize', usage: summarizeUsage }
+            ];
+
+            const report = stages.map(stage =>
+                stage.name + ': ' + (stage.usage || 0) + ' units' + (stage.yields ? ' (' + stage.yields + ' yields)' : '')
+            );
+            if (rowResults) {
+                report.push('row results: ' + rowResults.records + ' records, ' + rowResults.units + ' units');
+            }
+
+            return report.join('; ');
+        }
+
+        /**
+         * Take the prospect lock for a run
+         * Returns { acquired, holder } - holder is the active run that has the lock (see findActiveRun)
+         */
+        function acquireLock(runId, prospectName) {
+            const lockId = getLockId(prospectName);
+
+            for (let attempt = 0; attempt < 2; attempt++) {
+                try {
+                    setExternalId(runId, lockId);
+                    log.audit('Import Lock Acquired', 'Run ID: ' + runId + ', Lock: ' + lockId);
+                    return { acquired: true, holder: null };
+                } catch (e) {
+                    const holder = findLockHolder(lockId);
+                    if (!holder) throw e;
+
+                    if (String(holder.id) === String(runId)) {
+                        return { acquired: true, holder: null };
+                    }
+                    if (isRunActive(holder)) {
+                        log.audit('Import Lock Held', 'Run ID: ' + runId + ', Lock: ' + lockId + ', held by Run ID: ' + holder.id);
+                        return { acquired: false, holder: holder };
+                    }
+
+                    // The holder's task has ended without releasing the lock - take it over
+                    expireStaleRun(holder);
+                }
+            }
+
+            return { acquired: false, holder: findLockHolder(lockId) };
+        }
+
+        /**
+         * Release a run's prospect lock (no-op if the run does not hold it)
+         */
+        function releaseLock(runId) {
+            if (!runId) return;
+
+            try {
+                setExternalId(runId, RUN_PREFIX + runId);
+                log.audit('Import Lock Released', 'Run ID: ' + runId);
+            } catch (e) {
+                log.error('Import Lock Release Error', 'Run ID: ' + runId + ', Error: ' + e.toString());
+            }
+        }
+
+        /**
+         * True if the run holds the prospect lock
+         */
+        function holdsLock(runId, prospectName) {
+            if (!runId) return false;
+
+            const values = search.lookupFields({ type: RUN_RECORD_TYPE, id: runId, columns: ['externalid'] });
+            const externalId = Array.isArray(values.externalid) ? (values.externalid[0] || {}).value : values.externalid;
+            return externalId === getLockId(prospectName);
+        }
+
+        /**
+         * The run holding a lock, or null
+         */
+        function findLockHolder(lockId) {
+            let holder = null;
+
+            search.create({
+                type: RUN_RECORD_TYPE,
+                filters: [['externalid', 'anyof', lockId]],
+                columns: [RUN_FIELDS.prospectName, RUN_FIELDS.deploymentId, RUN_FIELDS.taskId, RUN_FIELDS.bomTaskId, RUN_FIELDS.configFileId, RUN_FIELDS.status, 'created']
+            }).run().each(function(result) {
+                holder = {
+                    id: result.id,
+                    prospectName: result.getValue({ name: RUN_FIELDS.prospectName }),
+                    deploymentId: result.getValue({ name: RUN_FIELDS.deploymentId }),
+                    taskId: result.getValue({ name: RUN_FIELDS.taskId }),
+                    bomTaskId: result.getValue({ name: RUN_FIELDS.bomTaskId }),
+                    configFileId: result.getValue({ name: RUN_FIELDS.configFileId }),
+                    status: result.getValue({ name: RUN_FIELDS.status }),
+                    created: result.getValue({ name: 'created' })
+                };
+                return false;
+            });
+
+            return holder;
+        }
+
+        /**
+         * Set a run record's external ID (fails if another run already has it)
+         */
+        function setExternalId(runId, externalId) {
+            const runRec = record.load({ type: RUN_RECORD_TYPE, id: runId });
+            runRec.setValue({ fieldId: 'externalid', value: externalId });
+            runRec.save();
+        }
+
+        /**
+         * Lock external ID for a prospect (case and punctuation ignored)
+         */
+        function getLockId(prospectName) {
+            return LOCK_PREFIX + String(prospectName || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+        }
+
+        return {
+            RUN_STATUS: RUN_STATUS,
+            ACTION: ACTION,
+            DEFAULT_CONFIG: DEFAULT_CONFIG,
+            applyDefaults: applyDefaults,
+            getRunSettings: getRunSettings,
+            logStageErrors: logStageErrors,
+            createRun: createRun,
+            updateRun: updateRun,
+            getRun: getRun,
+            addRowResult: addRowResult,
+            takeRowResultUsage: takeRowResultUsage,
+            getProgress: getProgress,
+            buildGovernanceReport: buildGovernanceReport,
+            getBOMStageDeployment: getBOMStageDeployment,
+            submitBOMStage: submitBOMStage,
+            findActiveRun: findActiveRun,
+            expireStaleRuns: expireStaleRuns,
+            findNewerRun: findNewerRun,
+            acquireLock: acquireLock,
+            releaseLock: releaseLock,
+            holdsLock: holdsLock
+        };
+    });
@@ -0,0 +1,160 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Staging Library
+ *
+ * Purpose: Hand the classified rows from getInputData to the later stages (summarize and the
+ * BOM stage Map/Reduce), scoped to one run
+ *
+ * - Rows are written to text files next to the config file, one JSON row per line, split into
+ *   parts that stay under the File Cabinet's content limit - so any BOM size stages
+ * - Files are named by stage key (bom_stage_<key>_<part>.txt); the key is the run record ID,
+ *   or the config file ID for runs started without one, so runs never read each other's rows.
+ *   A run can stage more than one list under named keys (the item stage's row outcomes are
+ *   staged for the BOM stage as "outcomes")
+ * - The first line of part 1 is a header with the row and part counts; a stage that is missing
+ *   or incomplete reads as null, and the caller rebuilds the rows from the file
+ */
+
+define(['N/file', 'N/search'],
+    function(file, search) {
+
+        const FILE_PREFIX = 'bom_stage_';
+
+        // Characters per part file - below the 10 MB content limit, with room for multi-byte characters
+        // (the results lib splits its files at the same length)
+        const MAX_PART_LENGTH = 4000000;
+
+        /**
+         * Stage key for a run: run record ID, else config file ID
+         * name: optional list name ("outcomes") for a run's other staged lists
+         */
+        function getStageKey(runId, configFileId, name) {
+            const key = runId ? 'run' + runId : 'config' + configFileId;
+            return name ? key + '-' + name : key;
+        }
+
+        /**
+         * Write rows to the stage, replacing any earlier stage with the same key
+         * Returns the staged file IDs
+         */
+        function write(stageKey, folderId, rows) {
+            remove(stageKey, folderId);
+
+            const parts = [];
+            let lines = [];
+            let length = 0;
+
+            rows.forEach(row => {
+                const line = JSON.stringify(row);
+                if (lines.length > 0 && length + line.length + 1 > MAX_PART_LENGTH) {
+                    parts.push(lines);
+                    lines = [];
+                    length = 0;
+                }
+                lines.push(line);
+                length += line.length + 1;
+            });
+            if (lines.length > 0 || parts.length === 0) {
+                parts.push(lines);
+            }
+
+            const header = JSON.stringify({ stageKey: stageKey, rowCount: rows.length, partCount: parts.length });
+
+            return parts.map((partLines, index) => {
+                const contents = (index === 0 ? [header] : []).concat(partLines).join('\n');
+                return file.create({
+                    name: getPartName(stageKey, index + 1),
+                    fileType: file.Type.PLAINTEXT,
+                    contents: contents,
+                    folder: folderId
+                }).save();
+            });
+        }
+
+        /**
+         * Read staged rows in file order
+         * Returns null if the stage is missing or does not hold every part and row it was written with
+         */
+        function read(stageKey, folderId) {
+            const partFiles = findPartFiles(stageKey, folderId);
+            if (partFiles.length === 0) return null;
+
+            let header = null;
+            const rows = [];
+
+            partFiles.forEach((partFile, index) => {
+                file.load({ id: partFile.id }).lines.iterator().each(line => {
+                    if (!line.value) return true;
+
+                    if (index === 0 && header === null) {
+                        header = JSON.parse(line.value);
+                    } else {
+                        rows.push(JSON.parse(line.value));
+                    }
+                    return true;
+                });
+            });
+
+            if (!header || header.partCount !== partFiles.length || header.rowCount !== rows.length) {
+                log.audit('Stage Incomplete', 'Stage: ' + stageKey + ', Parts: ' + partFiles.length + ', Rows: ' + rows.length +
+                    (header ? ' (expected ' + header.partCount + ' parts, ' + header.rowCount + ' rows)' : ' (no header)'));
+                return null;
+            }
+
+            return rows;
+        }
+
+        /**
+         * Delete a stage's files
+         */
+        function remove(stageKey, folderId) {
+            findPartFiles(stageKey, folderId).forEach(partFile => {
+                try {
+                    file.delete({ id: partFile.id });
+                } catch (e) {
+                    log.error('Stage File Delete Failed', 'File: ' + partFile.name + ', Error: ' + e.toString());
+                }
+            });
+        }
+
+        /**
+         * Staged part files in part order: [{ id, name }]
+         */
+        function findPartFiles(stageKey, folderId) {
+            const partFiles = [];
+
+            search.create({
+                type: 'file',
+                filters: [
+                    ['name', 'startswith', FILE_PREFIX + stageKey + '_'],
+                    'AND',
+                    ['folder', 'anyof', folderId]
+                ],
+                columns: ['name']
+            }).run().each(function(result) {
+                partFiles.push({ id: result.id, name: result.getValue({ name: 'name' }) });
+                return true;
+            });
+
+            return partFiles.sort((a, b) => (a.name < b.name ? -1 : (a.name > b.name ? 1 : 0)));
+        }
+
+        /**
+         * File name of a part (zero-padded so names sort in part order)
+         */
+        function getPartName(stageKey, partNumber) {
+            return FILE_PREFIX + stageKey + '_' + ('000' + partNumber).slice(-4) + '.txt';
+        }
+
+        return {
+            MAX_PART_LENGTH: MAX_PART_LENGTH,
+            getStageKey: getStageKey,
+            write: write,
+            read: read,
+            remove: remove
+        };
+    });
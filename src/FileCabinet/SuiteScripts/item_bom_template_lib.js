@@ -0,0 +1,207 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Mapping Template Library
+ *
+ * Purpose: Save column mappings and Item Defaults as named templates, so a prospect whose
+ * CAD/PLM tool exports the same headers every time does not have to re-map each upload
+ *
+ * Record (see src/Objects): customrecord_bom_mapping_template - name, headers, mappings, defaults
+ *
+ * Mappings are stored by column header rather than column position, so a template still
+ * applies when the export adds, drops, or reorders columns. A template is applied automatically
+ * when a file's headers match the headers it was saved from.
+ */
+
+define(['N/record', 'N/search'],
+    function(record, search) {
+
+        const TEMPLATE_RECORD_TYPE = 'customrecord_bom_mapping_template';
+
+        const TEMPLATE_FIELDS = {
+            headers: 'custrecord_bomtpl_headers',
+            mappings: 'custrecord_bomtpl_mappings',
+            defaults: 'custrecord_bomtpl_defaults'
+        };
+
+        /**
+         * List saved templates by name: [{ id, name }]
+         */
+        function listTemplates() {
+            const templates = [];
+
+            try {
+                search.create({
+                    type: TEMPLATE_RECORD_TYPE,
+                    filters: [['isinactive', 'is', 'F']],
+                    columns: [search.createColumn({ name: 'name', sort: search.Sort.ASC })]
+                }).run().each(function(result) {
+                    templates.push({ id: result.id, name: result.getValue('name') });
+                    return true;
+                });
+            } catch (e) {
+                log.error('Template List Error', e.toString());
+            }
+
+            return templates;
+        }
+
+        /**
+         * Load a template: { id, name, headers, mappings: { headerKey: field }, defaults }
+         * Returns null if it cannot be loaded
+         */
+        function getTemplate(templateId) {
+            if (!templateId) return null;
+
+            try {
+                const templateRec = record.load({ type: TEMPLATE_RECORD_TYPE, id: templateId });
+
+                return {
+                    id: templateId,
+                    name: templateRec.getValue({ fieldId: 'name' }),
+                    headers: parseJSON(templateRec.getValue({ fieldId: TEMPLATE_FIELDS.headers }), []),
+                    mappings: parseJSON(templateRec.getValue({ fieldId: TEMPLATE_FIELDS.mappings }), {}),
+                    defaults: parseJSON(templateRec.getValue({ fieldId: TEMPLATE_FIELDS.defaults }), null)
+                };
+            } catch (e) {
+                log.error('Template Load Error', 'Template ID: ' + templateId + ', Error: ' + e.toString());
+                return null;
+            }
+        }
+
+        /**
+         * Find the template saved from the same column headers, or null
+         */
+        function findTemplateForHeaders(headers) {
+            const signature = headerSignature(headers);
+            let templateId = null;
+
+            try {
+                search.create({
+                    type: TEMPLATE_RECORD_TYPE,
+                    filters: [['isinactive', 'is', 'F']],
+                    columns: [
+                        search.createColumn({ name: 'lastmodified', sort: search.Sort.DESC }),
+                        TEMPLATE_FIELDS.headers
+                    ]
+                }).run().each(function(result) {
+                    const templateHeaders = parseJSON(result.getValue(TEMPLATE_FIELDS.headers), []);
+                    if (headerSignature(templateHeaders) === signature) {
+                        templateId = result.id;
+                        return false;
+                    }
+                    return true;
+                });
+            } catch (e) {
+                log.error('Template Match Error', e.toString());
+            }
+
+            return getTemplate(templateId);
+        }
+
+        /**
+         * Save mappings and defaults as a template, replacing any template with the same name
+         * columnMappings: { colIndex: field } as collected from the mapping form
+         * Returns the template's internal ID
+         */
+        function saveTemplate(name, headers, columnMappings, defaults) {
+            const keys = headerKeys(headers);
+            const mappings = {};
+            keys.forEach((key, index) => {
+                mappings[key] = columnMappings[index] || '';
+            });
+
+            const existingId = findTemplateIdByName(name);
+            const templateRec = existingId
+                ? record.load({ type: TEMPLATE_RECORD_TYPE, id: existingId })
+                : record.create({ type: TEMPLATE_RECORD_TYPE });
+
+            templateRec.setValue({ fieldId: 'name', value: name });
+            templateRec.setValue({ fieldId: TEMPLATE_FIELDS.headers, value: JSON.stringify(headers) });
+            templateRec.setValue({ fieldId: TEMPLATE_FIELDS.mappings, value: JSON.stringify(mappings) });
+            templateRec.setValue({ fieldId: TEMPLATE_FIELDS.defaults, value: JSON.stringify(defaults) });
+
+            const templateId = templateRec.save();
+            log.audit(existingId ? 'Template Updated' : 'Template Created', 'Name: ' + name + ', ID: ' + templateId);
+
+            return templateId;
+        }
+
+        /**
+         * Column mappings for a file's headers: { colIndex: field }
+         * Columns the template does not know are left out, so the caller can fall back to auto-detect
+         */
+        function applyTemplate(template, headers) {
+            const mappings = {};
+
+            headerKeys(headers).forEach((key, index) => {
+                if (Object.prototype.hasOwnProperty.call(template.mappings, key)) {
+                    mappings[index] = template.mappings[key];
+                }
+            });
+
+            return mappings;
+        }
+
+        /**
+         * Internal ID of the active template with this name, or null
+         */
+        function findTemplateIdByName(name) {
+            let templateId = null;
+
+            search.create({
+                type: TEMPLATE_RECORD_TYPE,
+                filters: [['name', 'is', name], 'AND', ['isinactive', 'is', 'F']],
+                columns: ['internalid']
+            }).run().each(function(result) {
+                templateId = result.id;
+                return false;
+            });
+
+            return templateId;
+        }
+
+        /**
+         * Normalized header per column, numbered when a header repeats ("qty", "qty#2")
+         */
+        function headerKeys(headers) {
+            const counts = {};
+
+            return headers.map(header => {
+                const key = String(header || '').toLowerCase().replace(/\s+/g, ' ').trim();
+                counts[key] = (counts[key] || 0) + 1;
+                return counts[key] > 1 ? key + '#' + counts[key] : key;
+            });
+        }
+
+        /**
+         * One string per header layout, for matching files to templates
+         */
+        function headerSignature(headers) {
+            return headerKeys(headers).join('|');
+        }
+
+        /**
+         * Parse a JSON field value, or return the fallback
+         */
+        function parseJSON(value, fallback) {
+            if (!value) return fallback;
+
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return fallback;
+            }
+        }
+
+        return {
+            listTemplates: listTemplates,
+            getTemplate: getTemplate,
+            findTemplateForHeaders: findTemplateForHeaders,
+            saveTemplate: saveTemplate,
+            applyTemplate: applyTemplate
+        };
+    });
@@ -0,0 +1,472 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import Validation Library
+ *
+ * Purpose: Run every pre-import check against a parsed file without creating any records,
+ * for the Suitelet's Validate Only (dry run) report
+ *
+ * Checks run on the same row model the Map/Reduce imports, so the
+ * report shows exactly which rows would be dropped or would fail inside reduce.
+ */
+
+define(['N/search', './item_bom_run_lib', './item_bom_rows_lib', './item_bom_field_lib', './item_bom_component_lib'],
+    function(search, runLib, rowsLib, fieldLib, componentLib) {
+
+        // NetSuite limit on Item Name/Number
+        const MAX_ITEMID_LENGTH = 60;
+
+        // Control characters, and ":" which NetSuite uses to join parent and sub-item names
+        const ILLEGAL_ITEMID_CHARS = /[\u0000-\u001F\u007F:]/;
+
+        // Vendor names per existing-vendor search
+        const VENDOR_SEARCH_BATCH = 50;
+
+        // Report sections, in display order
+        const CHECKS = [
+            { id: 'parse', title: 'Malformed rows in the file', severity: 'error' },
+            { id: 'dropped', title: 'Rows that will not be imported', severity: 'error' },
+            { id: 'structure', title: 'Structure warnings', severity: 'warning' },
+            { id: 'duplicateHierarchy', title: 'Duplicate hierarchy values', severity: 'error' },
+            { id: 'missingParent', title: 'Parent hierarchy not in the file', severity: 'error' },
+            { id: 'conflictingDescription', title: 'Same item ID with different descriptions', severity: 'warning' },
+            { id: 'conflictingChildren', title: 'Same assembly with different components', severity: 'error' },
+            { id: 'duplicateComponents', title: 'Same component more than once in an assembly', severity: 'error' },
+            { id: 'mergedComponents', title: 'Duplicate components that will be merged or kept separate', severity: 'info' },
+            { id: 'quantity', title: 'Non-numeric or zero quantities', severity: 'warning' },
+            { id: 'itemId', title: 'Invalid item IDs', severity: 'error' },
+            { id: 'itemType', title: 'Item types that do not fit the structure', severity: 'error' },
+            { id: 'fieldValues', title: 'Values that do not fit their item field', severity: 'warning' },
+            { id: 'lineValues', title: 'BOM line values that cannot be set', severity: 'warning' },
+            { id: 'designators', title: 'Reference designator ranges, repeats, and quantity mismatches', severity: 'warning' },
+            { id: 'revisions', title: 'Revision values that will not be used', severity: 'warning' },
+            { id: 'vendors', title: 'Vendors that will be created', severity: 'info' },
+            { id: 'sharedAssemblies', title: 'Shared subassemblies (one BOM each)', severity: 'info' },
+            { id: 'hierarchyChanges', title: 'Hierarchy values normalized', severity: 'info' }
+        ];
+
+        /**
+         * Validate a parsed file against the import config
+         * config: { mappings, fieldTypes, defaults } as saved by the Suitelet
+         * Returns {
+         *   totalRows, validRows, assemblyCount, inventoryCount,
+         *   sections: [{ id, title, severity, issues: [{ rowNumber, message }] }],
+         *   errorCount, warningCount
+         * }
+         */
+        function validate(config, parsedData) {
+            const issues = {};
+            CHECKS.forEach(check => {
+                issues[check.id] = [];
+            });
+
+            parsedData.errors.forEach(error => {
+                issues.parse.push({ rowNumber: error.lineNumber, message: error.message });
+            });
+
+            let built;
+            try {
+                built = rowsLib.buildRows(config, parsedData);
+            } catch (e) {
+                // Parent Item cycle - nothing else can be checked
+                issues.structure.push({ rowNumber: null, message: e.message });
+                return buildReport(parsedData, [], issues);
+            }
+
+            const rows = built.rows;
+            issues.dropped = built.dropped;
+            issues.structure = built.warnings;
+            issues.hierarchyChanges = built.hierarchyChanges.map(change => ({
+                rowNumber: change.rowNumber,
+                message: '"' + change.from + '" will be imported as "' + change.to + '"'
+            }));
+
+            issues.duplicateHierarchy = checkDuplicateHierarchies(rows);
+            issues.missingParent = checkMissingParents(rows);
+            issues.conflictingDescription = checkConflictingDescriptions(rows);
+            const assemblyGroups = rowsLib.groupAssemblies(rows);
+            issues.conflictingChildren = checkConflictingChildren(assemblyGroups);
+            issues.sharedAssemblies = findSharedAssemblies(assemblyGroups);
+            issues.revisions = checkRevisions(rows, assemblyGroups);
+            checkDuplicateComponents(rows, (config.defaults || {}).duplicateComponents, issues);
+            issues.quantity = checkQuantities(config.mappings, parsedData.rows);
+            issues.itemId = checkItemIds(rows);
+            issues.itemType = rows
+                .filter(row => row.typeError)
+                .map(row => ({ rowNumber: row.rowNumber, message: row.itemFields.itemid + ': ' + row.typeError }));
+            issues.fieldValues = checkFieldValues(rows, config.fieldTypes || {});
+            issues.lineValues = checkLineValues(rows);
+            issues.designators = checkDesignators(rows);
+
+            if (config.defaults && config.defaults.createVendors) {
+                issues.vendors = findVendorsToCreate(config.mappings, parsedData.rows);
+            }
+
+            return buildReport(parsedData, rows, issues);
+        }
+
+        /**
+         * Assemble the report from the issues found by each check
+         */
+        function buildReport(parsedData, rows, issues) {
+            const sections = CHECKS.map(check => ({
+                id: check.id,
+                title: check.title,
+                severity: check.severity,
+                issues: issues[check.id]
+            }));
+
+            const countIssues = severity => sections
+                .filter(section => section.severity === severity)
+                .reduce((total, section) => total + section.issues.length, 0);
+
+            return {
+                totalRows: parsedData.rows.length,
+                validRows: rows.length,
+                assemblyCount: rows.filter(row => row.isAssembly).length,
+                inventoryCount: rows.filter(row => !row.isAssembly).length,
+                sections: sections,
+                errorCount: countIssues('error'),
+                warningCount: countIssues('warning')
+            };
+        }
+
+        /**
+         * Group rows by a key, keeping only the groups with a key
+         */
+        function groupRows(rows, getKey) {
+            const groups = {};
+            rows.forEach(row => {
+                const key = getKey(row);
+                if (key === null || key === undefined || key === '') return;
+                groups[key] = groups[key] || [];
+                groups[key].push(row);
+            });
+            return groups;
+        }
+
+        /**
+         * Row numbers of a group, without repeats (shared subassemblies repeat their rows)
+         */
+        function rowNumbersOf(rows) {
+            return Array.from(new Set(rows.map(row => row.rowNumber)));
+        }
+
+        /**
+         * Two rows with the same hierarchy value collide on one BOM position
+         */
+        function checkDuplicateHierarchies(rows) {
+            const groups = groupRows(rows, row => row.hierarchy);
+
+            return Object.keys(groups)
+                .filter(hierarchy => rowNumbersOf(groups[hierarchy]).length > 1)
+                .map(hierarchy => {
+                    const rowNumbers = rowNumbersOf(groups[hierarchy]);
+                    return {
+                        rowNumber: rowNumbers[0],
+                        message: 'Hierarchy "' + hierarchy + '" is used by rows ' + rowNumbers.join(', ')
+                    };
+                });
+        }
+
+        /**
+         * A row whose parent hierarchy is missing is created as an item but never added to a BOM
+         */
+        function checkMissingParents(rows) {
+            const hierarchySet = new Set(rows.map(row => row.hierarchy));
+
+            return rows
+                .filter(row => row.parentHierarchy && !hierarchySet.has(row.parentHierarchy))
+                .map(row => ({
+                    rowNumber: row.rowNumber,
+                    message: row.itemFields.itemid + ' (' + row.hierarchy + ') has no parent row "' + row.parentHierarchy +
+                        '"; the item will be created but not added to any BOM'
+                }));
+        }
+
+        /**
+         * Items are created once, from the first row; later descriptions are ignored
+         */
+        function checkConflictingDescriptions(rows) {
+            const groups = groupRows(rows, row => row.itemFields.itemid);
+            const issues = [];
+
+            Object.keys(groups).forEach(itemId => {
+                const descriptions = {};
+                groups[itemId].forEach(row => {
+                    const description = row.itemFields.displayname;
+                    if (description && !descriptions[description]) {
+                        descriptions[description] = row.rowNumber;
+                    }
+                });
+
+                const values = Object.keys(descriptions);
+                if (values.length > 1) {
+                    issues.push({
+                        rowNumber: descriptions[values[0]],
+                        message: itemId + ' has ' + values.length + ' descriptions: ' +
+                            values.map(value => '"' + value + '" (row ' + descriptions[value] + ')').join(', ')
+                    });
+                }
+            });
+
+            return issues;
+        }
+
+        /**
+         * One assembly item gets one BOM, so every occurrence must list the same components
+         */
+        function checkConflictingChildren(assemblyGroups) {
+            return assemblyGroups
+                .filter(group => group.conflict)
+                .map(group => ({ rowNumber: group.rows[0].rowNumber, message: group.conflict + '; the BOM will not be created' }));
+        }
+
+        /**
+         * Assemblies that appear more than once and will share one BOM
+         */
+        function findSharedAssemblies(assemblyGroups) {
+            return assemblyGroups
+                .filter(group => !group.conflict && group.rows.length + group.references.length > 1)
+                .map(group => {
+                    const rowNumbers = rowNumbersOf(group.rows.concat(group.references)).sort((a, b) => a - b);
+                    return {
+                        rowNumber: group.rows[0].rowNumber,
+                        message: group.itemId + ' appears in rows ' + rowNumbers.join(', ') + '; one BOM will be created from row ' +
+                            group.rows[0].rowNumber + ' (' + group.children.length + ' components)'
+                    };
+                });
+        }
+
+        /**
+         * Quantities that are not numbers or not above zero are imported as 1 (or the leading number)
+         */
+        function checkQuantities(mappings, fileRows) {
+            const colIndex = Object.keys(mappings).find(index => mappings[index] === 'quantity');
+            if (colIndex === undefined) return [];
+
+            const issues = [];
+            fileRows.forEach(row => {
+                const text = (row.cells[parseInt(colIndex)] || '').trim();
+                if (!text) return;
+
+                const value = Number(text);
+                const imported = parseFloat(text) || 1;
+
+                if (isNaN(value)) {
+                    issues.push({ rowNumber: row.rowNumber, message: 'Quantity "' + text + '" is not a number; will be imported as ' + imported });
+                } else if (value <= 0) {
+                    issues.push({ rowNumber: row.rowNumber, message: 'Quantity is ' + text + '; will be imported as ' + imported });
+                }
+            });
+
+            return issues;
+        }
+
+        /**
+         * The same item more than once under one assembly
+         * An error under the fail policy (issues.duplicateComponents), otherwise a note on what
+         * the import will do (issues.mergedComponents)
+         */
+        function checkDuplicateComponents(rows, policy, issues) {
+            const policies = componentLib.DUPLICATE_POLICY;
+            const activePolicy = policy || runLib.DEFAULT_CONFIG.duplicateComponents;
+            const childrenByParent = groupRows(rows, row => row.parentHierarchy);
+
+            Object.keys(childrenByParent).forEach(parentHierarchy => {
+                const lines = childrenByParent[parentHierarchy].map(row => ({
+                    itemId: row.itemFields.itemid,
+                    rowNumber: row.rowNumber,
+                    quantity: row.bomFields.quantity || 1,
+                    bomFields: row.bomFields
+                }));
+
+                componentLib.applyDuplicatePolicy(lines, activePolicy).duplicates.forEach(duplicate => {
+                    const where = duplicate.itemId + ' under ' + parentHierarchy + ' (rows ' + duplicate.rowNumbers.join(', ') + ')';
+
+                    if (activePolicy === policies.FAIL) {
+                        issues.duplicateComponents.push({ rowNumber: duplicate.rowNumbers[0], message: where + '; the BOM will not be created' });
+                    } else if (activePolicy === policies.MERGE) {
+                        issues.mergedComponents.push({ rowNumber: duplicate.rowNumbers[0], message: where + ' will be one line with quantity ' + duplicate.quantity });
+                    } else {
+                        issues.mergedComponents.push({ rowNumber: duplicate.rowNumbers[0], message: where + ' will be kept as separate lines' });
+                    }
+                });
+            });
+        }
+
+        /**
+         * Revision values are BOM revision codes: ignored on rows that are not assemblies, and
+         * one per assembly (the first one wins)
+         */
+        function checkRevisions(rows, assemblyGroups) {
+            const issues = rows
+                .filter(row => row.revision && !row.isAssembly)
+                .map(row => ({
+                    rowNumber: row.rowNumber,
+                    message: row.itemFields.itemid + ' is not an assembly; revision "' + row.revision + '" is ignored'
+                }));
+
+            assemblyGroups.forEach(group => {
+                const revisions = Array.from(new Set(group.rows.concat(group.references).map(row => row.revision).filter(Boolean)));
+                if (revisions.length > 1) {
+                    issues.push({
+                        rowNumber: group.rows[0].rowNumber,
+                        message: group.itemId + ' has revisions ' + revisions.join(', ') + '; the BOM revision will be ' + revisions[0]
+                    });
+                }
+            });
+
+            return issues;
+        }
+
+        /**
+         * Item IDs NetSuite will reject
+         */
+        function checkItemIds(rows) {
+            const issues = [];
+            const seen = new Set();
+
+            rows.forEach(row => {
+                const itemId = row.itemFields.itemid;
+                if (seen.has(itemId)) return;
+                seen.add(itemId);
+
+                if (itemId.length > MAX_ITEMID_LENGTH) {
+                    issues.push({
+                        rowNumber: row.rowNumber,
+                        message: itemId + ' is ' + itemId.length + ' characters; the limit is ' + MAX_ITEMID_LENGTH
+                    });
+                }
+                if (ILLEGAL_ITEMID_CHARS.test(itemId)) {
+                    issues.push({
+                        rowNumber: row.rowNumber,
+                        message: JSON.stringify(itemId) + ' contains a colon or control character'
+                    });
+                }
+            });
+
+            return issues;
+        }
+
+        /**
+         * Checkbox, date, and number values that cannot be converted for their field
+         * List/record values are looked up by name during import and are not checked here
+         */
+        function checkFieldValues(rows, fieldTypes) {
+            const issues = [];
+            const seen = new Set();
+
+            rows.forEach(row => {
+                Object.keys(row.itemFields).forEach(fieldId => {
+                    const type = fieldTypes[fieldId];
+                    if (!type || type === 'select' || type === 'multiselect') return;
+
+                    const key = row.rowNumber + ':' + fieldId;
+                    if (seen.has(key)) return;
+                    seen.add(key);
+
+                    try {
+                        fieldLib.convertValue(type, row.itemFields[fieldId]);
+                    } catch (e) {
+                        issues.push({ rowNumber: row.rowNumber, message: fieldId + ': ' + e.message + '; the field will not be set' });
+                    }
+                });
+            });
+
+            return issues;
+        }
+
+        /**
+         * Component line values (yield, item source) that cannot be converted
+         * Top-level rows are left out - they are not a component of any BOM
+         */
+        function checkLineValues(rows) {
+            const issues = [];
+
+            rows.forEach(row => {
+                if (!row.parentHierarchy) return;
+
+                componentLib.checkLineFields(row.bomFields).forEach(problem => {
+                    issues.push({ rowNumber: row.rowNumber, message: problem.label + ': ' + problem.message + '; the line field will not be set' });
+                });
+            });
+
+            return issues;
+        }
+
+        /**
+         * Reference designator ranges, repeats, and counts that disagree with the quantity
+         */
+        function checkDesignators(rows) {
+            const issues = [];
+
+            rows.forEach(row => {
+                if (!row.parentHierarchy) return;
+
+                componentLib.checkDesignators(row.bomFields).forEach(message => {
+                    issues.push({ rowNumber: row.rowNumber, message: row.itemFields.itemid + ': ' + message });
+                });
+            });
+
+            return issues;
+        }
+
+        /**
+         * Vendor names in the file that do not match an existing vendor
+         * Reads every file row, as the Map/Reduce creates vendors before rows are dropped
+         */
+        function findVendorsToCreate(mappings, fileRows) {
+            const colIndex = Object.keys(mappings).find(index => mappings[index] === 'vendor');
+            if (colIndex === undefined) return [];
+
+            const firstRowByVendor = {};
+            fileRows.forEach(row => {
+                const vendorName = row.cells[parseInt(colIndex)];
+                if (vendorName && !firstRowByVendor[vendorName]) {
+                    firstRowByVendor[vendorName] = row.rowNumber;
+                }
+            });
+
+            const vendorNames = Object.keys(firstRowByVendor);
+            const existing = findExistingVendors(vendorNames);
+
+            return vendorNames
+                .filter(vendorName => !existing.has(vendorName.toLowerCase()))
+                .map(vendorName => ({ rowNumber: firstRowByVendor[vendorName], message: vendorName }));
+        }
+
+        /**
+         * Lower-cased names of the vendors that already exist, searched in batches
+         */
+        function findExistingVendors(vendorNames) {
+            const existing = new Set();
+
+            for (let i = 0; i < vendorNames.length; i += VENDOR_SEARCH_BATCH) {
+                const filters = [];
+                vendorNames.slice(i, i + VENDOR_SEARCH_BATCH).forEach(vendorName => {
+                    if (filters.length > 0) filters.push('OR');
+                    filters.push(['entityid', 'is', vendorName]);
+                });
+
+                search.create({
+                    type: 'vendor',
+                    filters: filters,
+                    columns: ['entityid']
+                }).run().each(function(result) {
+                    existing.add(String(result.getValue('entityid')).toLowerCase());
+                    return true;
+                });
+            }
+
+            return existing;
+        }
+
+        return {
+            MAX_ITEMID_LENGTH: MAX_ITEMID_LENGTH,
+            validate: validate
+        };
+    });
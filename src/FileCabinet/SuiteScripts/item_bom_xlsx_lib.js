@@ -0,0 +1,695 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+
+/**
+ * BOM Import XLSX Library
+ *
+ * Purpose: Read Excel (.xlsx) workbooks server-side into the same { headers, rows } structure
+ * the CSV parser returns, so the mapping form and the import treat both formats alike
+ *
+ * N/compress cannot unzip, so this module carries its own ZIP reader and DEFLATE decoder.
+ * Worksheet XML is read with simple tag scanning rather than a DOM to keep memory flat.
+ *
+ * Handling:
+ * - Shared strings, inline strings, booleans, formula results
+ * - Numeric cells formatted with fixed decimals keep them (Excel stores "1.10" as 1.1)
+ * - Floating point noise trimmed (1.1000000000000001 -> 1.1)
+ * - Merged cells filled with their top-left value; duplicate header names made unique
+ * - Date formatted cells converted to YYYY-MM-DD
+ */
+
+define([],
+    function() {
+
+        const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+        // DEFLATE tables (RFC 1951)
+        const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        // Built-in number formats that matter for BOM data (others are treated as General)
+        const BUILTIN_NUMBER_FORMATS = {
+            1: '0',
+            2: '0.00',
+            3: '#,##0',
+            4: '#,##0.00',
+            14: 'yyyy-mm-dd',
+            15: 'd-mmm-yy',
+            16: 'd-mmm',
+            17: 'mmm-yy',
+            22: 'm/d/yy h:mm'
+        };
+
+        /**
+         * List worksheet names in a workbook
+         */
+        function listSheets(base64Content) {
+            const zip = readZip(decodeBase64(base64Content));
+            return getSheets(zip).map(sheet => sheet.name);
+        }
+
+        /**
+         * Parse one worksheet (first one if options.sheetName is not given)
+         * Returns { headers, rows: [{ rowNumber, cells }], delimiter, errors, sheetNames, sheetName }
+         * rowNumber is the Excel row number
+         */
+        function parse(base64Content, options) {
+            const opts = options || {};
+            const zip = readZip(decodeBase64(base64Content));
+            const sheets = getSheets(zip);
+
+            if (sheets.length === 0) {
+                throw new Error('Workbook has no worksheets');
+            }
+
+            let sheet = sheets[0];
+            if (opts.sheetName) {
+                sheet = sheets.find(s => s.name === opts.sheetName);
+                if (!sheet) {
+                    throw new Error('Worksheet "' + opts.sheetName + '" not found in workbook');
+                }
+            }
+
+            const sharedStrings = zip.has('xl/sharedStrings.xml') ? readSharedStrings(zip.text('xl/sharedStrings.xml')) : [];
+            const styleFormats = zip.has('xl/styles.xml') ? readStyleFormats(zip.text('xl/styles.xml')) : [];
+
+            if (!zip.has(sheet.path)) {
+                throw new Error('Worksheet "' + sheet.name + '" is missing from workbook (' + sheet.path + ')');
+            }
+
+            const grid = readSheetGrid(zip.text(sheet.path), sharedStrings, styleFormats);
+
+            // First row with any data is the header
+            const rowNumbers = Object.keys(grid.rows).map(n => parseInt(n)).sort((a, b) => a - b);
+            const records = [];
+            rowNumbers.forEach(rowNumber => {
+                const cells = [];
+                for (let c = 0; c < grid.columnCount; c++) {
+                    cells.push(grid.rows[rowNumber][c] || '');
+                }
+                if (cells.some(cell => cell !== '')) {
+                    records.push({ rowNumber: rowNumber, cells: cells });
+                }
+            });
+
+            const headers = records.length > 0 ? uniqueHeaders(records[0].cells) : [];
+
+            return {
+                headers: headers,
+                rows: records.slice(1),
+                delimiter: null,
+                errors: [],
+                sheetNames: sheets.map(s => s.name),
+                sheetName: sheet.name
+            };
+        }
+
+        /**
+         * Make repeated header names unique (merged header cells repeat across their columns)
+         */
+        function uniqueHeaders(cells) {
+            const seen = {};
+            return cells.map(header => {
+                if (!header) return header;
+                const key = header.toLowerCase();
+                seen[key] = (seen[key] || 0) + 1;
+                return seen[key] > 1 ? header + ' (' + seen[key] + ')' : header;
+            });
+        }
+
+        // ==================== WORKBOOK ====================
+
+        /**
+         * Get worksheets in workbook order: [{ name, path }]
+         */
+        function getSheets(zip) {
+            if (!zip.has('xl/workbook.xml')) {
+                throw new Error('Not an Excel workbook (xl/workbook.xml missing)');
+            }
+
+            const relTargets = {};
+            if (zip.has('xl/_rels/workbook.xml.rels')) {
+                eachTag(zip.text('xl/_rels/workbook.xml.rels'), 'Relationship', function(attrs) {
+                    relTargets[attrs.Id] = attrs.Target;
+                });
+            }
+
+            const sheets = [];
+            let index = 0;
+            eachTag(zip.text('xl/workbook.xml'), 'sheet', function(attrs) {
+                index++;
+                const relId = attrs['r:id'] || Object.keys(attrs).filter(a => /:id$/.test(a)).map(a => attrs[a])[0];
+                let target = relTargets[relId] || ('worksheets/sheet' + index + '.xml');
+                target = target.charAt(0) === '/' ? target.substring(1) : 'xl/' + target;
+                sheets.push({ name: decodeEntities(attrs.name || ('Sheet' + index)), path: target });
+            });
+
+            return sheets;
+        }
+
+        /**
+         * Read shared strings table
+         */
+        function readSharedStrings(xmlText) {
+            const strings = [];
+            const siPattern = /<(?:\w+:)?si\b[^>]*>([\s\S]*?)<\/(?:\w+:)?si>|<(?:\w+:)?si\b[^>]*\/>/g;
+            let match;
+            while ((match = siPattern.exec(xmlText)) !== null) {
+                strings.push(match[1] ? readText(match[1]) : '');
+            }
+            return strings;
+        }
+
+        /**
+         * Read number format code for each cell style index
+         */
+        function readStyleFormats(xmlText) {
+            const customFormats = {};
+            eachTag(xmlText, 'numFmt', function(attrs) {
+                customFormats[attrs.numFmtId] = decodeEntities(attrs.formatCode || '');
+            });
+
+            const formats = [];
+            const cellXfs = /<(?:\w+:)?cellXfs\b[^>]*>([\s\S]*?)<\/(?:\w+:)?cellXfs>/.exec(xmlText);
+            if (cellXfs) {
+                eachTag(cellXfs[1], 'xf', function(attrs) {
+                    const numFmtId = parseInt(attrs.numFmtId) || 0;
+                    formats.push(customFormats[numFmtId] || BUILTIN_NUMBER_FORMATS[numFmtId] || '');
+                });
+            }
+
+            return formats;
+        }
+
+        /**
+         * Read worksheet cells into { rows: { rowNumber: [cells] }, columnCount }
+         */
+        function readSheetGrid(xmlText, sharedStrings, styleFormats) {
+            const rows = {};
+            let columnCount = 0;
+            let nextRow = 1;
+
+            const rowPattern = /<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g;
+            const cellPattern = /<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g;
+
+            let rowMatch;
+            while ((rowMatch = rowPattern.exec(xmlText)) !== null) {
+                const rowAttrs = parseAttributes(rowMatch[1]);
+                const rowNumber = parseInt(rowAttrs.r) || nextRow;
+                nextRow = rowNumber + 1;
+
+                const cells = [];
+                let nextColumn = 0;
+                const rowXml = rowMatch[2] || '';
+
+                cellPattern.lastIndex = 0;
+                let cellMatch;
+                while ((cellMatch = cellPattern.exec(rowXml)) !== null) {
+                    const attrs = parseAttributes(cellMatch[1]);
+                    const column = attrs.r ? columnIndex(attrs.r) : nextColumn;
+                    nextColumn = column + 1;
+
+                    cells[column] = readCellValue(attrs, cellMatch[2] || '', sharedStrings, styleFormats);
+                    columnCount = Math.max(columnCount, column + 1);
+                }
+
+                rows[rowNumber] = cells;
+            }
+
+            // Fill merged ranges with their top-left value
+            eachTag(xmlText, 'mergeCell', function(attrs) {
+                const range = (attrs.ref || '').split(':');
+                if (range.length !== 2) return;
+
+                const start = cellPosition(range[0]);
+                const end = cellPosition(range[1]);
+                const value = (rows[start.row] || [])[start.column] || '';
+                if (!value) return;
+
+                for (let r = start.row; r <= end.row; r++) {
+                    rows[r] = rows[r] || [];
+                    for (let c = start.column; c <= end.column; c++) {
+                        rows[r][c] = value;
+                    }
+                }
+                columnCount = Math.max(columnCount, end.column + 1);
+            });
+
+            return { rows: rows, columnCount: columnCount };
+        }
+
+        /**
+         * Convert one cell to text
+         */
+        function readCellValue(attrs, innerXml, sharedStrings, styleFormats) {
+            const type = attrs.t || 'n';
+            const valueMatch = /<(?:\w+:)?v\b[^>]*>([\s\S]*?)<\/(?:\w+:)?v>/.exec(innerXml);
+            const raw = valueMatch ? decodeEntities(valueMatch[1]) : '';
+
+            if (type === 's') {
+                return (sharedStrings[parseInt(raw)] || '').trim();
+            }
+            if (type === 'inlineStr') {
+                return readText(innerXml).trim();
+            }
+            if (type === 'b') {
+                return raw === '1' ? 'TRUE' : (raw === '0' ? 'FALSE' : '');
+            }
+            if (type === 'str' || type === 'e' || type === 'd') {
+                return raw.trim();
+            }
+            if (raw === '') {
+                return '';
+            }
+
+            const formatCode = styleFormats[parseInt(attrs.s) || 0] || '';
+            return formatNumber(raw, formatCode);
+        }
+
+        /**
+         * Format a numeric cell the way Excel displays it, as far as BOM data needs
+         */
+        function formatNumber(raw, formatCode) {
+            const number = parseFloat(raw);
+            if (isNaN(number)) {
+                return raw.trim();
+            }
+
+            // Only the positive section matters; drop quoted text, escapes, and [color]/[locale] blocks
+            const code = formatCode.split(';')[0].replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+
+            if (/[ymdhs]/i.test(code) && !/^general$/i.test(code)) {
+                return excelSerialToDate(number);
+            }
+
+            const decimals = /\.(0+)/.exec(code);
+            if (decimals && !/[#?%Ee]/.test(code.substring(code.indexOf('.') + 1))) {
+                return number.toFixed(decimals[1].length);
+            }
+            if (/^[#,]*0+$/.test(code)) {
+                return number.toFixed(0);
+            }
+
+            // General: trim binary floating point noise
+            return String(parseFloat(number.toPrecision(15)));
+        }
+
+        /**
+         * Convert Excel date serial (1900 date system) to YYYY-MM-DD
+         */
+        function excelSerialToDate(serial) {
+            const date = new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+            return date.toISOString().substring(0, 10);
+        }
+
+        // ==================== XML HELPERS ====================
+
+        /**
+         * Concatenate <t> text in a string item, skipping phonetic runs
+         */
+        function readText(xmlText) {
+            const withoutPhonetic = xmlText.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, '');
+            const textPattern = /<(?:\w+:)?t\b[^>]*>([\s\S]*?)<\/(?:\w+:)?t>/g;
+            let text = '';
+            let match;
+            while ((match = textPattern.exec(withoutPhonetic)) !== null) {
+                text += decodeEntities(match[1]);
+            }
+            return text;
+        }
+
+        /**
+         * Call fn(attrs) for every occurrence of a tag (any namespace prefix)
+         */
+        function eachTag(xmlText, tagName, fn) {
+            const pattern = new RegExp('<(?:\\w+:)?' + tagName + '\\b([^>]*?)\\/?>', 'g');
+            let match;
+            while ((match = pattern.exec(xmlText)) !== null) {
+                fn(parseAttributes(match[1]));
+            }
+        }
+
+        /**
+         * Parse tag attributes into an object
+         */
+        function parseAttributes(attrText) {
+            const attrs = {};
+            const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+            let match;
+            while ((match = pattern.exec(attrText || '')) !== null) {
+                attrs[match[1]] = match[3] !== undefined ? match[3] : match[4];
+            }
+            return attrs;
+        }
+
+        /**
+         * Decode XML entities
+         */
+        function decodeEntities(text) {
+            return String(text).replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, function(_, entity) {
+                if (entity === 'amp') return '&';
+                if (entity === 'lt') return '<';
+                if (entity === 'gt') return '>';
+                if (entity === 'quot') return '"';
+                if (entity === 'apos') return '\'';
+                const code = entity.charAt(1) === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+                return String.fromCodePoint(code);
+            }).replace(/_x([0-9A-Fa-f]{4})_/g, function(_, hex) {
+                // Excel escapes control characters as _xHHHH_
+                return String.fromCharCode(parseInt(hex, 16));
+            });
+        }
+
+        /**
+         * Column letters of a cell reference to zero-based index ("B7" -> 1)
+         */
+        function columnIndex(ref) {
+            const letters = /^[A-Z]+/i.exec(ref);
+            if (!letters) return 0;
+
+            let index = 0;
+            const text = letters[0].toUpperCase();
+            for (let i = 0; i < text.length; i++) {
+                index = index * 26 + (text.charCodeAt(i) - 64);
+            }
+            return index - 1;
+        }
+
+        /**
+         * Cell reference to { row, column } ("B7" -> { row: 7, column: 1 })
+         */
+        function cellPosition(ref) {
+            const rowMatch = /\d+$/.exec(ref);
+            return {
+                row: rowMatch ? parseInt(rowMatch[0]) : 1,
+                column: columnIndex(ref)
+            };
+        }
+
+        // ==================== ZIP ====================
+
+        /**
+         * Read ZIP central directory
+         * Returns { has(name), text(name) } with entries inflated on demand
+         */
+        function readZip(bytes) {
+            // End of central directory record is in the last 64KB + 22 bytes
+            let eocd = -1;
+            for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+                if (readUint32(bytes, i) === 0x06054b50) {
+                    eocd = i;
+                    break;
+                }
+            }
+            if (eocd < 0) {
+                throw new Error('Not a valid .xlsx workbook (password-protected and .xls files are not supported)');
+            }
+
+            const entryCount = readUint16(bytes, eocd + 10);
+            let offset = readUint32(bytes, eocd + 16);
+            const entries = {};
+
+            for (let i = 0; i < entryCount; i++) {
+                if (readUint32(bytes, offset) !== 0x02014b50) {
+                    throw new Error('Corrupt workbook: bad central directory entry');
+                }
+
+                const method = readUint16(bytes, offset + 10);
+                const compressedSize = readUint32(bytes, offset + 20);
+                const size = readUint32(bytes, offset + 24);
+                const nameLength = readUint16(bytes, offset + 28);
+                const extraLength = readUint16(bytes, offset + 30);
+                const commentLength = readUint16(bytes, offset + 32);
+                const localOffset = readUint32(bytes, offset + 42);
+                const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+                entries[name] = { method: method, compressedSize: compressedSize, size: size, localOffset: localOffset };
+                offset += 46 + nameLength + extraLength + commentLength;
+            }
+
+            return {
+                has: function(name) {
+                    return Object.prototype.hasOwnProperty.call(entries, name);
+                },
+                text: function(name) {
+                    const entry = entries[name];
+                    const local = entry.localOffset;
+                    const dataStart = local + 30 + readUint16(bytes, local + 26) + readUint16(bytes, local + 28);
+                    const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+                    if (entry.method === 0) {
+                        return decodeUtf8(data);
+                    }
+                    if (entry.method === 8) {
+                        return decodeUtf8(inflate(data, entry.size));
+                    }
+                    throw new Error('Unsupported compression method ' + entry.method + ' for ' + name);
+                }
+            };
+        }
+
+        function readUint16(bytes, pos) {
+            return bytes[pos] | (bytes[pos + 1] << 8);
+        }
+
+        function readUint32(bytes, pos) {
+            return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+        }
+
+        /**
+         * Inflate raw DEFLATE data of known uncompressed size
+         */
+        function inflate(source, size) {
+            const out = new Uint8Array(size);
+            let outPos = 0;
+            let pos = 0;
+            let bitBuf = 0;
+            let bitCount = 0;
+
+            const bits = function(count) {
+                while (bitCount < count) {
+                    if (pos >= source.length) {
+                        throw new Error('Corrupt workbook: compressed data ends early');
+                    }
+                    bitBuf |= source[pos++] << bitCount;
+                    bitCount += 8;
+                }
+                const value = bitBuf & ((1 << count) - 1);
+                bitBuf >>>= count;
+                bitCount -= count;
+                return value;
+            };
+
+            const decodeSymbol = function(table) {
+                let code = 0;
+                let first = 0;
+                let index = 0;
+                for (let len = 1; len < 16; len++) {
+                    code |= bits(1);
+                    const count = table.counts[len];
+                    if (code - count < first) {
+                        return table.symbols[index + (code - first)];
+                    }
+                    index += count;
+                    first = (first + count) << 1;
+                    code <<= 1;
+                }
+                throw new Error('Corrupt workbook: bad Huffman code');
+            };
+
+            let last = 0;
+            while (!last) {
+                last = bits(1);
+                const type = bits(2);
+
+                if (type === 0) {
+                    // Stored block: skip to byte boundary
+                    bitBuf = 0;
+                    bitCount = 0;
+                    const length = readUint16(source, pos);
+                    pos += 4;
+                    out.set(source.subarray(pos, pos + length), outPos);
+                    pos += length;
+                    outPos += length;
+                    continue;
+                }
+
+                let literalTable;
+                let distTable;
+
+                if (type === 1) {
+                    const lengths = new Uint8Array(288 + 30);
+                    lengths.fill(8, 0, 144);
+                    lengths.fill(9, 144, 256);
+                    lengths.fill(7, 256, 280);
+                    lengths.fill(8, 280, 288);
+                    lengths.fill(5, 288, 318);
+                    literalTable = buildHuffman(lengths, 0, 288);
+                    distTable = buildHuffman(lengths, 288, 30);
+                } else if (type === 2) {
+                    const literalCount = bits(5) + 257;
+                    const distCount = bits(5) + 1;
+                    const codeLengthCount = bits(4) + 4;
+
+                    const codeLengths = new Uint8Array(19);
+                    for (let i = 0; i < codeLengthCount; i++) {
+                        codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+                    }
+                    const codeLengthTable = buildHuffman(codeLengths, 0, 19);
+
+                    const lengths = new Uint8Array(literalCount + distCount);
+                    let n = 0;
+                    while (n < literalCount + distCount) {
+                        const symbol = decodeSymbol(codeLengthTable);
+                        if (symbol < 16) {
+                            lengths[n++] = symbol;
+                        } else {
+                            let repeat = 0;
+                            let value = 0;
+                            if (symbol === 16) {
+                                if (n === 0) throw new Error('Corrupt workbook: bad code lengths');
+                                value = lengths[n - 1];
+                                repeat = 3 + bits(2);
+                            } else if (symbol === 17) {
+                                repeat = 3 + bits(3);
+                            } else {
+                                repeat = 11 + bits(7);
+                            }
+                            while (repeat--) {
+                                lengths[n++] = value;
+                            }
+                        }
+                    }
+
+                    literalTable = buildHuffman(lengths, 0, literalCount);
+                    distTable = buildHuffman(lengths, literalCount, distCount);
+                } else {
+                    throw new Error('Corrupt workbook: bad block type');
+                }
+
+                for (;;) {
+                    let symbol = decodeSymbol(literalTable);
+                    if (symbol < 256) {
+                        out[outPos++] = symbol;
+                    } else if (symbol === 256) {
+                        break;
+                    } else {
+                        symbol -= 257;
+                        const length = LENGTH_BASE[symbol] + bits(LENGTH_EXTRA[symbol]);
+                        const distSymbol = decodeSymbol(distTable);
+                        const distance = DIST_BASE[distSymbol] + bits(DIST_EXTRA[distSymbol]);
+                        for (let i = 0; i < length; i++) {
+                            out[outPos] = out[outPos - distance];
+                            outPos++;
+                        }
+                    }
+                }
+            }
+
+            return outPos === size ? out : out.subarray(0, outPos);
+        }
+
+        /**
+         * Build canonical Huffman decoding table from code lengths
+         */
+        function buildHuffman(lengths, start, count) {
+            const counts = new Uint16Array(16);
+            const symbols = new Uint16Array(count);
+            const offsets = new Uint16Array(16);
+
+            for (let i = 0; i < count; i++) {
+                counts[lengths[start + i]]++;
+            }
+            counts[0] = 0;
+
+            for (let len = 1; len < 15; len++) {
+                offsets[len + 1] = offsets[len] + counts[len];
+            }
+            for (let i = 0; i < count; i++) {
+                const len = lengths[start + i];
+                if (len) {
+                    symbols[offsets[len]++] = i;
+                }
+            }
+
+            return { counts: counts, symbols: symbols };
+        }
+
+        // ==================== ENCODING ====================
+
+        /**
+         * Decode base64 (File Cabinet returns binary file contents as base64)
+         */
+        function decodeBase64(base64) {
+            const text = String(base64 || '').replace(/[^A-Za-z0-9+/]/g, '');
+            const bytes = new Uint8Array(Math.floor(text.length * 3 / 4));
+            const lookup = {};
+            for (let i = 0; i < BASE64_CHARS.length; i++) {
+                lookup[BASE64_CHARS.charAt(i)] = i;
+            }
+
+            let byteIndex = 0;
+            for (let i = 0; i < text.length; i += 4) {
+                const a = lookup[text.charAt(i)];
+                const b = lookup[text.charAt(i + 1)];
+                const c = lookup[text.charAt(i + 2)];
+                const d = lookup[text.charAt(i + 3)];
+
+                bytes[byteIndex++] = (a << 2) | (b >> 4);
+                if (c !== undefined) bytes[byteIndex++] = ((b & 15) << 4) | (c >> 2);
+                if (d !== undefined) bytes[byteIndex++] = ((c & 3) << 6) | d;
+            }
+
+            return bytes.subarray(0, byteIndex);
+        }
+
+        /**
+         * Decode UTF-8 bytes to a string
+         */
+        function decodeUtf8(bytes) {
+            const chunks = [];
+            let codes = [];
+            let i = 0;
+
+            // Skip byte order mark
+            if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+                i = 3;
+            }
+
+            while (i < bytes.length) {
+                const b = bytes[i++];
+                let code;
+                if (b < 0x80) {
+                    code = b;
+                } else if (b < 0xE0) {
+                    code = ((b & 0x1F) << 6) | (bytes[i++] & 0x3F);
+                } else if (b < 0xF0) {
+                    code = ((b & 0x0F) << 12) | ((bytes[i++] & 0x3F) << 6) | (bytes[i++] & 0x3F);
+                } else {
+                    code = ((b & 0x07) << 18) | ((bytes[i++] & 0x3F) << 12) | ((bytes[i++] & 0x3F) << 6) | (bytes[i++] & 0x3F);
+                    code -= 0x10000;
+                    codes.push(0xD800 + (code >> 10));
+                    code = 0xDC00 + (code & 0x3FF);
+                }
+                codes.push(code);
+
+                if (codes.length >= 8192) {
+                    chunks.push(String.fromCharCode.apply(null, codes));
+                    codes = [];
+                }
+            }
+            chunks.push(String.fromCharCode.apply(null, codes));
+
+            return chunks.join('');
+        }
+
+        return {
+            listSheets: listSheets,
+            parse: parse
+        };
+    });